@@ -0,0 +1,218 @@
+/**
+ * Custom element entry point - <innogy-puck-game> wraps createGame() for HTML-only embedding
+ *
+ * Usage:
+ *   <script type="module" src="path/to/js/element.js"></script>
+ *   <innogy-puck-game api-url="https://api.example.com" leaderboard-title="Top 10"></innogy-puck-game>
+ */
+
+import { createGame } from './widget.js';
+import { GameEvent } from './game/Game.js';
+
+// Element tag name
+const TAG_NAME = 'innogy-puck-game';
+
+// Prefix of re-dispatched game events (generic names like "start" or "end" would clash with host page events)
+const EVENT_PREFIX = 'innogy-';
+
+// Attributes applied to a running widget via setOptions()
+const LIVE_ATTRIBUTES = [
+  'leaderboard-title',
+  'confetti',
+  'theme',
+  'difficulty',
+  'difficulty-selector',
+  'practice-toggle',
+  'top-text',
+  'bottom-text',
+  'secondary-button-url',
+  'secondary-button-target',
+  'secondary-button-text'
+];
+
+// Attributes that require the widget to be created again
+const REBUILD_ATTRIBUTES = [
+  'api-url',
+  'assets-url',
+  'show-leaderboard',
+  'mode',
+  'levels-url',
+  'audio',
+  'encapsulation',
+  'locale'
+];
+
+/**
+ * Read boolean attribute - present means true unless set to "false"
+ * @param {HTMLElement} element - Element
+ * @param {string} name - Attribute name
+ * @param {boolean} defaultValue - Value when attribute is missing
+ * @returns {boolean}
+ */
+function getBooleanAttribute(element, name, defaultValue) {
+  if (!element.hasAttribute(name)) return defaultValue;
+  return element.getAttribute(name) !== 'false';
+}
+
+export class InnogyPuckGameElement extends HTMLElement {
+  static get observedAttributes() {
+    return [...LIVE_ATTRIBUTES, ...REBUILD_ATTRIBUTES];
+  }
+
+  constructor() {
+    super();
+    this.widget = null;
+    this.updateScheduled = false;
+    this.needsRebuild = false;
+  }
+
+  /**
+   * Create widget when inserted into the document
+   */
+  connectedCallback() {
+    if (!this.widget) {
+      this.render();
+    }
+  }
+
+  /**
+   * Full teardown when removed from the document
+   */
+  disconnectedCallback() {
+    if (this.widget) {
+      this.widget.destroy();
+      this.widget = null;
+    }
+  }
+
+  /**
+   * Apply attribute changes (batched, several attributes often change at once)
+   * @param {string} name - Attribute name
+   * @param {string|null} oldValue - Previous value
+   * @param {string|null} newValue - New value
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    if (oldValue === newValue || !this.widget) return;
+
+    if (REBUILD_ATTRIBUTES.includes(name)) {
+      this.needsRebuild = true;
+    }
+    if (this.updateScheduled) return;
+
+    this.updateScheduled = true;
+    queueMicrotask(() => {
+      this.updateScheduled = false;
+      if (!this.widget) return;
+
+      if (this.needsRebuild) {
+        this.needsRebuild = false;
+        this.widget.destroy();
+        this.render();
+      } else {
+        this.widget.setOptions(this.getOptions());
+      }
+    });
+  }
+
+  /**
+   * Map attributes to createGame() options
+   * @returns {Object} Widget options
+   */
+  getOptions() {
+    const options = {
+      showLeaderboard: getBooleanAttribute(this, 'show-leaderboard', true),
+      confetti: getBooleanAttribute(this, 'confetti', true),
+      audio: getBooleanAttribute(this, 'audio', true),
+      difficultySelector: getBooleanAttribute(this, 'difficulty-selector', false),
+      practiceToggle: getBooleanAttribute(this, 'practice-toggle', false),
+      topText: this.getAttribute('top-text') || '',
+      bottomText: this.getAttribute('bottom-text') || ''
+    };
+
+    const optional = {
+      apiUrl: 'api-url',
+      assetsUrl: 'assets-url',
+      leaderboardTitle: 'leaderboard-title',
+      theme: 'theme',
+      difficulty: 'difficulty',
+      mode: 'mode',
+      levelsUrl: 'levels-url',
+      encapsulation: 'encapsulation',
+      locale: 'locale'
+    };
+    // Missing attributes are passed as undefined - removing one resets its option to the default
+    for (const [option, attribute] of Object.entries(optional)) {
+      options[option] = this.hasAttribute(attribute) ? this.getAttribute(attribute) : undefined;
+    }
+
+    // Secondary button is shown only with a URL (setOptions() hides it otherwise)
+    options.secondaryButton = this.hasAttribute('secondary-button-url') ? {
+      url: this.getAttribute('secondary-button-url'),
+      target: this.getAttribute('secondary-button-target') || '_self',
+      text: this.getAttribute('secondary-button-text') || undefined // default: translated "Zpět"
+    } : null;
+
+    return options;
+  }
+
+  /**
+   * Create widget and re-dispatch its game events as DOM events
+   */
+  render() {
+    const options = this.getOptions();
+    if (!options.secondaryButton) {
+      delete options.secondaryButton;
+    }
+
+    this.widget = createGame(this, options);
+    if (!this.widget) return;
+
+    // e.g. element.addEventListener('innogy-catch', (e) => e.detail.score)
+    for (const event of Object.values(GameEvent)) {
+      this.widget.on(event, (payload) => {
+        this.dispatchEvent(new CustomEvent(EVENT_PREFIX + event, { detail: payload, bubbles: true, composed: true }));
+      });
+    }
+  }
+
+  /**
+   * Start a run
+   */
+  start() {
+    if (this.widget) this.widget.start();
+  }
+
+  /**
+   * Pause a running game
+   */
+  pause() {
+    if (this.widget) this.widget.pause();
+  }
+
+  /**
+   * Resume a paused game
+   */
+  resume() {
+    if (this.widget) this.widget.resume();
+  }
+
+  /**
+   * Back to idle overlay
+   */
+  restart() {
+    if (this.widget) this.widget.restart();
+  }
+
+  /**
+   * Get snapshot of the public game state
+   * @returns {Object|null} State (see control API getState()) or null when not connected
+   */
+  getState() {
+    return this.widget ? this.widget.getState() : null;
+  }
+}
+
+// Register once (the module may be included several times on one page)
+if (typeof customElements !== 'undefined' && !customElements.get(TAG_NAME)) {
+  customElements.define(TAG_NAME, InnogyPuckGameElement);
+}
@@ -3,7 +3,7 @@
  */
 
 import { COLORS, EFFECTS } from '../utils/constants.js';
-import { randomRange } from '../utils/helpers.js';
+import { Random } from '../utils/random.js';
 
 // Olympic ring colors + brand color
 const OLYMPIC_COLORS = [
@@ -33,21 +33,22 @@ export class ConfettiParticle {
    * @param {number} x - Starting X position
    * @param {number} y - Starting Y position
    * @param {boolean} isGold - Use gold colors for record celebration
+   * @param {Random} rng - Random generator
+   * @param {string[]} colors - Colors to pick from (default: olympic or gold colors)
    */
-  constructor(x, y, isGold = false) {
-    const colors = isGold ? GOLD_COLORS : OLYMPIC_COLORS;
+  constructor(x, y, isGold = false, rng = new Random(), colors = isGold ? GOLD_COLORS : OLYMPIC_COLORS) {
     const power = isGold ? 1.35 : 1.0;
 
     this.x = x;
     this.y = y;
-    this.vx = (Math.random() - 0.5) * 2.2 * power;
-    this.vy = randomRange(-13.5, -4.5) * power;
+    this.vx = (rng.next() - 0.5) * 2.2 * power;
+    this.vy = rng.range(-13.5, -4.5) * power;
     this.gravity = 0.26;
-    this.radius = randomRange(2, 5) * (isGold ? 1.25 : 1);
-    this.rotation = Math.random() * Math.PI;
-    this.rotationSpeed = (Math.random() - 0.5) * 0.35;
-    this.color = colors[Math.floor(Math.random() * colors.length)];
-    this.life = (isGold ? 62 : 42) + Math.random() * 22;
+    this.radius = rng.range(2, 5) * (isGold ? 1.25 : 1);
+    this.rotation = rng.next() * Math.PI;
+    this.rotationSpeed = (rng.next() - 0.5) * 0.35;
+    this.color = rng.pick(colors);
+    this.life = (isGold ? 62 : 42) + rng.next() * 22;
   }
 
   /**
@@ -83,8 +84,33 @@ export class ConfettiParticle {
  * Confetti particle system manager
  */
 export class ConfettiSystem {
-  constructor() {
+  /**
+   * @param {number} seed - Random seed (optional)
+   */
+  constructor(seed) {
     this.particles = [];
+    this.rng = new Random(seed);
+    this.colors = OLYMPIC_COLORS;
+    this.goldColors = GOLD_COLORS;
+  }
+
+  /**
+   * Set particle colors (theme)
+   * @param {string[]} colors - Colors of catch bursts
+   * @param {string[]} goldColors - Colors of record celebration bursts
+   */
+  setColors(colors = OLYMPIC_COLORS, goldColors = GOLD_COLORS) {
+    this.colors = colors;
+    this.goldColors = goldColors;
+  }
+
+  /**
+   * Reseed particle randomness (keeps effects identical when a run is reproduced)
+   * Separate from the gameplay generator so toggling confetti never changes the puck sequence
+   * @param {number} seed - Random seed
+   */
+  setSeed(seed) {
+    this.rng = new Random(seed);
   }
 
   /**
@@ -97,7 +123,7 @@ export class ConfettiSystem {
     const count = isGold ? EFFECTS.CONFETTI_COUNT_GOLD : EFFECTS.CONFETTI_COUNT;
 
     for (let i = 0; i < count; i++) {
-      this.particles.push(new ConfettiParticle(x, y, isGold));
+      this.particles.push(new ConfettiParticle(x, y, isGold, this.rng, isGold ? this.goldColors : this.colors));
     }
   }
 
@@ -57,6 +57,20 @@ export class Goal {
     };
   }
 
+  /**
+   * Get the goal post bounds (pucks ricochet off them, see checkPostHit)
+   * The crossbar drawn along the goal line is above the ice - pucks slide under it
+   * @returns {Object[]} Left and right post bounds {left, right, top, bottom}
+   */
+  getPostBounds() {
+    const { left, right, top, bottom } = this.getBounds();
+
+    return [
+      { left: left - GOAL.POST_WIDTH, right: left, top, bottom },
+      { left: right, right: right + GOAL.POST_WIDTH, top, bottom }
+    ];
+  }
+
   /**
    * Get center point of goal (target for puck aiming)
    * @returns {Object} Center point {x, y}
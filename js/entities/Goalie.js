@@ -12,7 +12,13 @@ export const GOALIE = {
   MOVE_EASING: 0.18,
   MARGIN: 60,      // horizontal margin from canvas edge
   CATCH_WIDTH: 110,  // horizontal catch zone width
-  CATCH_HEIGHT: 60   // vertical catch zone from top of goalie
+  CATCH_HEIGHT: 60,  // vertical catch zone from top of goalie
+  // Dive (times in frames at 60fps)
+  DIVE_DISTANCE: 150,  // lateral lunge distance
+  DIVE_DURATION: 12,   // lunge with stretched catch zone
+  DIVE_RECOVERY: 24,   // getting up after the lunge - goalie can't move
+  DIVE_COOLDOWN: 90,   // from the start of one dive to the next
+  DIVE_STRETCH: 70     // catch zone extension toward the dive direction
 };
 
 export class Goalie {
@@ -22,24 +28,39 @@ export class Goalie {
     this.x = CANVAS.WIDTH / 2;
     this.y = CANVAS.HEIGHT - GOALIE.Y_OFFSET;
 
+    // Catch zone width multiplier (wide glove power-up)
+    this.catchWidthFactor = 1;
+
     // Catch animation state
     this.catchFlash = 0;
     this.catchAnimation = 0;
+
+    // Dive state (see dive())
+    this.diveDirection = 0;
+    this.diveStartX = this.x;
+    this.diveTime = null;  // frames since the dive started, null when not diving
+    this.diveCooldown = 0; // frames until the next dive
   }
 
   /**
-   * Update goalie position with smooth easing
+   * Update goalie position with smooth easing (or the dive lunge and recovery)
    * @param {number} targetX - Target X position from input
    * @param {number} delta - Time multiplier (1.0 = normal 60fps frame)
    */
   update(targetX, delta = 1) {
-    // Clamp target within screen bounds
-    const clampedTarget = clamp(targetX, GOALIE.MARGIN, CANVAS.WIDTH - GOALIE.MARGIN);
+    this.diveCooldown = Math.max(0, this.diveCooldown - delta);
+
+    if (this.diveTime !== null) {
+      this.updateDive(delta);
+    } else {
+      // Clamp target within screen bounds
+      const clampedTarget = clamp(targetX, GOALIE.MARGIN, CANVAS.WIDTH - GOALIE.MARGIN);
 
-    // Smooth movement with easing (adjust easing for delta time)
-    // Use 1 - (1 - easing)^delta for frame-rate independent lerp
-    const adjustedEasing = 1 - Math.pow(1 - GOALIE.MOVE_EASING, delta);
-    this.x = lerp(this.x, clampedTarget, adjustedEasing);
+      // Smooth movement with easing (adjust easing for delta time)
+      // Use 1 - (1 - easing)^delta for frame-rate independent lerp
+      const adjustedEasing = 1 - Math.pow(1 - GOALIE.MOVE_EASING, delta);
+      this.x = lerp(this.x, clampedTarget, adjustedEasing);
+    }
 
     // Decay catch animation
     if (this.catchAnimation > 0) {
@@ -50,6 +71,84 @@ export class Goalie {
     }
   }
 
+  /**
+   * Advance the dive - ease-out lunge, then recovery in place
+   * @param {number} delta - Time multiplier (1.0 = normal 60fps frame)
+   */
+  updateDive(delta) {
+    this.diveTime += delta;
+
+    if (this.diveTime >= GOALIE.DIVE_DURATION + GOALIE.DIVE_RECOVERY) {
+      this.diveTime = null;
+      this.diveDirection = 0;
+      return;
+    }
+
+    const progress = Math.min(1, this.diveTime / GOALIE.DIVE_DURATION);
+    const reach = GOALIE.DIVE_DISTANCE * (1 - Math.pow(1 - progress, 2));
+    this.x = clamp(this.diveStartX + this.diveDirection * reach, GOALIE.MARGIN, CANVAS.WIDTH - GOALIE.MARGIN);
+  }
+
+  /**
+   * Start a dive toward the target (in place, stretched to both sides, when already there)
+   * Ignored during a dive and while the cooldown runs
+   * @param {number} targetX - Target X position from input
+   * @returns {boolean} True if the dive started
+   */
+  dive(targetX) {
+    if (!this.canDive) return false;
+
+    this.diveDirection = Math.sign(Math.round(targetX - this.x));
+    this.diveStartX = this.x;
+    this.diveTime = 0;
+    this.diveCooldown = GOALIE.DIVE_COOLDOWN;
+    return true;
+  }
+
+  /**
+   * Check if a dive can start
+   * @returns {boolean}
+   */
+  get canDive() {
+    return this.diveTime === null && this.diveCooldown <= 0;
+  }
+
+  /**
+   * Check if the goalie is in the lunge phase of a dive (stretched catch zone)
+   * @returns {boolean}
+   */
+  get isDiving() {
+    return this.diveTime !== null && this.diveTime < GOALIE.DIVE_DURATION;
+  }
+
+  /**
+   * Check if the goalie is getting up after a dive (can't move)
+   * @returns {boolean}
+   */
+  get isRecovering() {
+    return this.diveTime !== null && this.diveTime >= GOALIE.DIVE_DURATION;
+  }
+
+  /**
+   * Get how far the goalie leans into a dive (for the dive animation)
+   * @returns {number} 0 standing, rises to 1 during the lunge and falls back while recovering
+   */
+  get diveLean() {
+    if (this.diveTime === null) return 0;
+    if (this.diveTime < GOALIE.DIVE_DURATION) {
+      return 1 - Math.pow(1 - this.diveTime / GOALIE.DIVE_DURATION, 2);
+    }
+    return 1 - (this.diveTime - GOALIE.DIVE_DURATION) / GOALIE.DIVE_RECOVERY;
+  }
+
+  /**
+   * Get dive readiness for the cooldown indicator
+   * @returns {number} 0 right after a dive, 1 when the next dive is ready
+   */
+  get diveCharge() {
+    return 1 - this.diveCooldown / GOALIE.DIVE_COOLDOWN;
+  }
+
   /**
    * Trigger catch animation
    */
@@ -63,11 +162,24 @@ export class Goalie {
    * @returns {Object} Bounds with left, right, top, bottom
    */
   getCatchBounds() {
-    const halfCatchWidth = GOALIE.CATCH_WIDTH / 2;
+    const halfCatchWidth = GOALIE.CATCH_WIDTH * this.catchWidthFactor / 2;
+
+    // Diving stretches the zone toward the dive (to both sides for a dive in place)
+    let stretchLeft = 0;
+    let stretchRight = 0;
+    if (this.isDiving) {
+      if (this.diveDirection === 0) {
+        stretchLeft = stretchRight = GOALIE.DIVE_STRETCH / 2;
+      } else if (this.diveDirection < 0) {
+        stretchLeft = GOALIE.DIVE_STRETCH;
+      } else {
+        stretchRight = GOALIE.DIVE_STRETCH;
+      }
+    }
 
     return {
-      left: this.x - halfCatchWidth,
-      right: this.x + halfCatchWidth,
+      left: this.x - halfCatchWidth - stretchLeft,
+      right: this.x + halfCatchWidth + stretchRight,
       top: this.y - this.height / 2,
       bottom: this.y - this.height / 2 + GOALIE.CATCH_HEIGHT
     };
@@ -96,7 +208,12 @@ export class Goalie {
    */
   reset() {
     this.x = CANVAS.WIDTH / 2;
+    this.catchWidthFactor = 1;
     this.catchFlash = 0;
     this.catchAnimation = 0;
+    this.diveDirection = 0;
+    this.diveStartX = this.x;
+    this.diveTime = null;
+    this.diveCooldown = 0;
   }
 }
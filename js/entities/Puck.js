@@ -2,32 +2,36 @@
  * Puck entity - falling objects the player must catch
  */
 
-import { PUCK, CANVAS, GOAL } from '../utils/constants.js';
-import { randomRange } from '../utils/helpers.js';
+import { PUCK, CANVAS, GOAL, POWERUP } from '../utils/constants.js';
+import { Random } from '../utils/random.js';
+import { PuckType, PUCK_TYPES } from './PuckTypes.js';
 
 export class Puck {
   /**
    * Create a new puck
    * @param {number} speedBase - Base falling speed
    * @param {number} difficultyFactor - Difficulty factor 0-1 for horizontal movement
+   * @param {Random} rng - Seeded random generator (keeps the puck sequence reproducible)
+   * @param {number} horizontalMax - Max horizontal speed of curving pucks (difficulty preset)
    */
-  constructor(speedBase, difficultyFactor = 0) {
-    this.radius = randomRange(PUCK.MIN_RADIUS, PUCK.MAX_RADIUS);
+  constructor(speedBase, difficultyFactor = 0, rng = new Random(), horizontalMax = PUCK.HORIZONTAL_MAX) {
+    this.radius = rng.range(PUCK.MIN_RADIUS, PUCK.MAX_RADIUS);
 
     // Determine spawn location: top (70%) or sides (30%)
-    const spawnFromSide = Math.random() < 0.3;
+    const spawnFromSide = rng.chance(0.3);
     const maxSideSpawnY = CANVAS.HEIGHT / 3; // Upper 1/3 of canvas
 
     if (spawnFromSide) {
       // Spawn from left or right side
-      const spawnFromLeft = Math.random() < 0.5;
+      const spawnFromLeft = rng.chance(0.5);
       this.x = spawnFromLeft ? -this.radius : CANVAS.WIDTH + this.radius;
-      this.y = randomRange(PUCK.SPAWN_MARGIN, maxSideSpawnY);
+      this.y = rng.range(PUCK.SPAWN_MARGIN, maxSideSpawnY);
     } else {
       // Spawn from top (original behavior)
-      this.x = randomRange(PUCK.SPAWN_MARGIN, CANVAS.WIDTH - PUCK.SPAWN_MARGIN);
+      this.x = rng.range(PUCK.SPAWN_MARGIN, CANVAS.WIDTH - PUCK.SPAWN_MARGIN);
       this.y = PUCK.SPAWN_Y;
     }
+    this.prevX = this.x;
     this.prevY = this.y;
 
     // Calculate goal center position
@@ -39,11 +43,11 @@ export class Puck {
     const dy = goalCenterY - this.y;
 
     // Normalize and scale by speed
-    const totalSpeed = speedBase + Math.random() * PUCK.SPEED_VARIANCE;
+    const totalSpeed = speedBase + rng.next() * PUCK.SPEED_VARIANCE;
 
     // Add randomness to aim (spread angle increases with difficulty)
     const aimSpread = 0.15 + difficultyFactor * 0.25; // radians of spread
-    const angle = Math.atan2(dy, dx) + (Math.random() - 0.5) * aimSpread;
+    const angle = Math.atan2(dy, dx) + (rng.next() - 0.5) * aimSpread;
 
     this.vx = Math.cos(angle) * totalSpeed;
     this.vy = Math.sin(angle) * totalSpeed;
@@ -53,31 +57,161 @@ export class Puck {
       this.vy = speedBase * 0.5;
     }
 
+    this.horizontalMax = horizontalMax;
+    this.type = PuckType.STANDARD;
+    this.curve = 0;       // Horizontal acceleration of curving pucks
+    this.powerUp = null;  // Power-up type (see PowerUps.js), null for a standard puck
     this.caught = false;
     this.scored = false;  // True if puck entered the goal
+    this.rebound = false; // True after a post hit or deflection - pulled back toward the goal
     this.squash = 0;
     this.markedForRemoval = false;
   }
 
+  /**
+   * Create puck from a scripted spawn (see Waves.js) - position, direction and speed are given
+   * @param {Object} spawn - Spawn {x, y, angle, speed} (px, radians from straight down, null = aimed at the goal center)
+   * @param {number} horizontalMax - Max horizontal speed of curving pucks (difficulty preset)
+   * @returns {Puck} Puck
+   */
+  static fromSpawn(spawn, horizontalMax = PUCK.HORIZONTAL_MAX) {
+    // Fixed generator - the spawn overrides everything random
+    const puck = new Puck(spawn.speed, 0, new Random(0), horizontalMax);
+    puck.radius = PUCK.MIN_RADIUS;
+    puck.x = spawn.x;
+    puck.y = spawn.y;
+    puck.prevX = spawn.x;
+    puck.prevY = spawn.y;
+
+    const goalCenterX = CANVAS.WIDTH / 2;
+    const goalCenterY = CANVAS.HEIGHT - GOAL.Y_OFFSET + GOAL.HEIGHT / 2;
+    const angle = spawn.angle ?? Math.atan2(goalCenterX - spawn.x, goalCenterY - spawn.y);
+
+    puck.vx = Math.sin(angle) * spawn.speed;
+    puck.vy = Math.cos(angle) * spawn.speed;
+    return puck;
+  }
+
   /**
    * Update puck position
    * @param {number} delta - Time multiplier (1.0 = normal 60fps frame)
    */
   update(delta = 1) {
+    // Curving pucks bend their path (capped horizontal speed)
+    if (this.curve) {
+      this.vx = Math.max(-this.horizontalMax, Math.min(this.horizontalMax, this.vx + this.curve * delta));
+    }
+
+    // Rebounds slow down and come back toward the goal
+    if (this.rebound) {
+      this.vy += PUCK.REBOUND_GRAVITY * delta;
+    }
+
+    // Position before the move - collisions are swept along the path (see Physics.js)
+    this.prevX = this.x;
     this.prevY = this.y;
     this.y += this.vy * delta;
     this.x += this.vx * delta;
 
-    // Bounce off side walls
+    // Bounce off side walls (curve turns away from the wall too)
     if (this.x - this.radius < 0) {
       this.x = this.radius;
       this.vx = Math.abs(this.vx);
+      this.curve = Math.abs(this.curve);
     } else if (this.x + this.radius > CANVAS.WIDTH) {
       this.x = CANVAS.WIDTH - this.radius;
       this.vx = -Math.abs(this.vx);
+      this.curve = -Math.abs(this.curve);
     }
   }
 
+  /**
+   * Get behavior config of the puck type (see PUCK_TYPES)
+   * @returns {Object} Type config
+   */
+  get config() {
+    return PUCK_TYPES[this.type];
+  }
+
+  /**
+   * Set puck type
+   * @param {string} type - Puck type (see PuckType)
+   * @param {Random} rng - Seeded random generator (curve direction)
+   */
+  setType(type, rng) {
+    this.type = type;
+    this.curve = this.config.curves ? (rng.chance(0.5) ? 1 : -1) * PUCK.CURVE_ACCEL : 0;
+  }
+
+  /**
+   * Check if a splitter puck reached its split line
+   * @returns {boolean}
+   */
+  shouldSplit() {
+    return !!this.config.splits && !this.markedForRemoval && this.y >= PUCK.SPLIT_Y;
+  }
+
+  /**
+   * Break into two standard pucks flying apart (this puck is removed)
+   * @returns {Puck[]} The two halves
+   */
+  split() {
+    this.markedForRemoval = true;
+
+    return [-1, 1].map(direction => {
+      const half = Object.assign(Object.create(Puck.prototype), this);
+      half.type = PuckType.STANDARD;
+      half.vx = this.vx + direction * PUCK.SPLIT_SPREAD;
+      half.markedForRemoval = false;
+      return half;
+    });
+  }
+
+  /**
+   * Ricochet off a surface - reflects the velocity and starts a rebound
+   * @param {number} nx - Surface normal X (unit vector pointing toward the puck)
+   * @param {number} ny - Surface normal Y
+   * @param {number} restitution - Kept fraction of the speed
+   * @param {number} side - Direction of the min sideways speed (-1 left, 1 right, 0 none)
+   *   so a puck cannot come to rest on top of a post
+   * @returns {boolean} True if the puck bounced (false when already moving away)
+   */
+  bounce(nx, ny, restitution, side = 0) {
+    const dot = this.vx * nx + this.vy * ny;
+    if (dot >= 0) return false;
+
+    this.vx = (this.vx - 2 * dot * nx) * restitution;
+    this.vy = (this.vy - 2 * dot * ny) * restitution;
+    if (side !== 0 && Math.abs(this.vx) < PUCK.DEFLECT_KICK) {
+      this.vx = side * PUCK.DEFLECT_KICK;
+    }
+    this.rebound = true;
+    return true;
+  }
+
+  /**
+   * Glance off the goalie's glove - back up and away to the side
+   * @param {number} side - Direction away from the goalie (-1 left, 1 right)
+   * @returns {boolean} True if the puck was deflected (false when already moving up)
+   */
+  deflect(side) {
+    if (this.vy <= 0) return false;
+
+    this.vx = side * Math.max(Math.abs(this.vx), PUCK.DEFLECT_KICK);
+    this.vy = -this.vy * PUCK.DEFLECT_RESTITUTION;
+    this.rebound = true;
+    return true;
+  }
+
+  /**
+   * Turn puck into a power-up puck (bigger, grants an effect when caught)
+   * @param {string} type - Power-up type
+   */
+  makePowerUp(type) {
+    this.powerUp = type;
+    this.radius = POWERUP.RADIUS;
+  }
+
   /**
    * Check if puck is below screen
    * @returns {boolean} True if off screen
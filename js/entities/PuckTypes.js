@@ -0,0 +1,85 @@
+/**
+ * Puck types - registry of puck behaviors (points, movement, splitting, catch penalty)
+ * Spawn weights grow with difficulty, so special pucks get more frequent as the run goes on
+ */
+
+import { PUCK } from '../utils/constants.js';
+
+/**
+ * Puck type enum
+ */
+export const PuckType = {
+  STANDARD: 'standard',
+  GOLDEN: 'golden',     // worth PUCK.GOLDEN_POINTS
+  CURVING: 'curving',   // horizontal speed changes over time
+  SPLITTER: 'splitter', // breaks into two standard pucks at PUCK.SPLIT_Y
+  DUMMY: 'dummy'        // must not be caught - catching it costs a life
+};
+
+/**
+ * Puck type registry
+ * - points: score for a catch
+ * - costsLife: catching costs a life instead of scoring (entering the goal is harmless)
+ * - curves: vx changes by PUCK.CURVE_ACCEL per frame
+ * - splits: breaks into two pucks at PUCK.SPLIT_Y
+ * - weight(level): relative spawn weight at difficulty level 0-1
+ */
+export const PUCK_TYPES = {
+  [PuckType.STANDARD]: {
+    points: 1,
+    weight: () => 1
+  },
+  [PuckType.GOLDEN]: {
+    points: PUCK.GOLDEN_POINTS,
+    weight: (level) => 0.04 + 0.06 * level
+  },
+  [PuckType.CURVING]: {
+    points: 1,
+    curves: true,
+    weight: (level) => 0.04 + 0.2 * level
+  },
+  [PuckType.SPLITTER]: {
+    points: 1,
+    splits: true,
+    weight: (level) => 0.02 + 0.12 * level
+  },
+  [PuckType.DUMMY]: {
+    points: 0,
+    costsLife: true,
+    weight: (level) => 0.03 + 0.1 * level
+  }
+};
+
+// Highest score of a single catch and most catchable pucks from a single spawn (run validation)
+export const MAX_PUCK_POINTS = Math.max(...Object.values(PUCK_TYPES).map(type => type.points));
+export const MAX_PUCKS_PER_SPAWN = 2;
+
+/**
+ * Get difficulty level from the current base speed
+ * @param {number} speedBase - Current base puck speed
+ * @param {Object} difficulty - Difficulty settings (initialSpeed, maxSpeed)
+ * @returns {number} Level 0 (run start) to 1 (max speed)
+ */
+export function getDifficultyLevel(speedBase, difficulty) {
+  const range = difficulty.maxSpeed - difficulty.initialSpeed;
+  if (range <= 0) return 1;
+  return Math.min(1, Math.max(0, (speedBase - difficulty.initialSpeed) / range));
+}
+
+/**
+ * Pick a puck type by spawn weight
+ * @param {Random} rng - Seeded random generator
+ * @param {number} level - Difficulty level 0-1
+ * @returns {string} Puck type
+ */
+export function pickPuckType(rng, level) {
+  const entries = Object.entries(PUCK_TYPES).map(([type, config]) => [type, config.weight(level)]);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+  let roll = rng.next() * total;
+  for (const [type, weight] of entries) {
+    roll -= weight;
+    if (roll < 0) return type;
+  }
+  return PuckType.STANDARD;
+}
@@ -0,0 +1,224 @@
+/**
+ * Audio - Web Audio sound engine
+ * Default sounds are synthesized (no files needed); each can be replaced by an audio file URL.
+ * Browsers only allow audio after a user gesture, so the audio context is created by unlock()
+ * on the first click / key press - sounds played before that are dropped.
+ */
+
+import { AUDIO } from '../utils/constants.js';
+import { getAssetUrl } from './Renderer.js';
+
+/**
+ * Sound type enum
+ */
+export const SoundType = {
+  CATCH: 'catch',
+  GOAL: 'goal',           // horn of a conceded goal
+  LIFE_LOST: 'lifeLost',
+  START: 'start',         // referee whistle
+  RECORD: 'record',       // new personal record fanfare
+  CLICK: 'click',         // toolbar and overlay buttons
+  POST: 'post'            // puck rang off a goal post
+};
+
+// Synthesized default sounds - tones {wave, freq, to (end freq), at (s), duration (s), gain}
+const SYNTH_SOUNDS = {
+  [SoundType.CATCH]: [
+    { wave: 'triangle', freq: 880, to: 1320, at: 0, duration: 0.08, gain: 0.5 }
+  ],
+  [SoundType.GOAL]: [
+    { wave: 'sawtooth', freq: 220, at: 0, duration: 0.9, gain: 0.25 },
+    { wave: 'sawtooth', freq: 277, at: 0, duration: 0.9, gain: 0.2 }
+  ],
+  [SoundType.LIFE_LOST]: [
+    { wave: 'square', freq: 440, to: 110, at: 0, duration: 0.4, gain: 0.2 }
+  ],
+  [SoundType.START]: [
+    { wave: 'sine', freq: 2000, at: 0, duration: 0.12, gain: 0.35 },
+    { wave: 'sine', freq: 2000, at: 0.18, duration: 0.3, gain: 0.35 }
+  ],
+  [SoundType.RECORD]: [
+    { wave: 'triangle', freq: 523, at: 0, duration: 0.12, gain: 0.4 },
+    { wave: 'triangle', freq: 659, at: 0.1, duration: 0.12, gain: 0.4 },
+    { wave: 'triangle', freq: 784, at: 0.2, duration: 0.12, gain: 0.4 },
+    { wave: 'triangle', freq: 1047, at: 0.3, duration: 0.35, gain: 0.4 }
+  ],
+  [SoundType.CLICK]: [
+    { wave: 'sine', freq: 1000, at: 0, duration: 0.03, gain: 0.3 }
+  ],
+  [SoundType.POST]: [
+    { wave: 'sine', freq: 2200, at: 0, duration: 0.35, gain: 0.3 },
+    { wave: 'sine', freq: 3300, at: 0, duration: 0.25, gain: 0.15 }
+  ]
+};
+
+export class AudioEngine {
+  /**
+   * @param {Object} options - Audio options
+   * @param {number} options.volume - Master volume 0-1 (default: AUDIO.VOLUME)
+   * @param {Object} options.sounds - Audio file URLs by sound type (see SoundType), relative to assetsUrl
+   * @param {string} options.assetsUrl - Base URL for sound files
+   */
+  constructor(options = {}) {
+    this.context = null;
+    this.master = null;
+    this.buffers = {}; // Decoded sound files by type
+    this.muted = false;
+    this.volume = AUDIO.VOLUME;
+    this.setVolume(options.volume ?? AUDIO.VOLUME);
+
+    // Sound file URLs by type (loaded once the context exists)
+    this.urls = {};
+    for (const [type, path] of Object.entries(options.sounds || {})) {
+      if (!SYNTH_SOUNDS[type]) {
+        console.warn(`InnogyGame: Unknown sound "${type}", ignored`);
+        continue;
+      }
+      if (path) {
+        this.urls[type] = getAssetUrl(path, options.assetsUrl);
+      }
+    }
+  }
+
+  /**
+   * Create (or resume) the audio context - call from a user gesture handler
+   */
+  unlock() {
+    if (this.context) {
+      if (this.context.state === 'suspended') {
+        this.context.resume().catch(() => {});
+      }
+      return;
+    }
+
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!AudioContextClass) return;
+
+    this.context = new AudioContextClass();
+    this.master = this.context.createGain();
+    this.master.gain.value = this.muted ? 0 : this.volume;
+    this.master.connect(this.context.destination);
+    this.loadSounds();
+  }
+
+  /**
+   * Check if sounds can be played (context unlocked)
+   * @returns {boolean}
+   */
+  get isUnlocked() {
+    return !!this.context && this.context.state === 'running';
+  }
+
+  /**
+   * Load and decode sound files (synthesized sounds are used until loaded or when loading fails)
+   */
+  loadSounds() {
+    for (const [type, url] of Object.entries(this.urls)) {
+      fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then(data => this.context && this.context.decodeAudioData(data))
+        .then(buffer => {
+          if (buffer) this.buffers[type] = buffer;
+        })
+        .catch(error => {
+          console.warn(`InnogyGame: Sound "${type}" could not be loaded from ${url}, using default`, error);
+        });
+    }
+  }
+
+  /**
+   * Play a sound
+   * @param {string} type - Sound type (see SoundType)
+   * @param {number} delay - Delay in seconds
+   */
+  play(type, delay = 0) {
+    if (this.muted || !this.isUnlocked || !SYNTH_SOUNDS[type]) return;
+
+    const start = this.context.currentTime + delay;
+    const buffer = this.buffers[type];
+    if (buffer) {
+      const source = this.context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(this.master);
+      source.start(start);
+      return;
+    }
+
+    for (const tone of SYNTH_SOUNDS[type]) {
+      this.playTone(tone, start);
+    }
+  }
+
+  /**
+   * Play a synthesized tone with a short attack and exponential fade-out
+   * @param {Object} tone - Tone {wave, freq, to, at, duration, gain}
+   * @param {number} start - Context time of the sound start
+   */
+  playTone(tone, start) {
+    const ctx = this.context;
+    const begin = start + tone.at;
+    const end = begin + tone.duration;
+
+    const oscillator = ctx.createOscillator();
+    oscillator.type = tone.wave;
+    oscillator.frequency.setValueAtTime(tone.freq, begin);
+    if (tone.to) {
+      oscillator.frequency.exponentialRampToValueAtTime(tone.to, end);
+    }
+
+    const envelope = ctx.createGain();
+    envelope.gain.setValueAtTime(0.0001, begin);
+    envelope.gain.exponentialRampToValueAtTime(tone.gain, begin + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    oscillator.connect(envelope);
+    envelope.connect(this.master);
+    oscillator.start(begin);
+    oscillator.stop(end + 0.02);
+  }
+
+  /**
+   * Mute or unmute all sounds
+   * @param {boolean} muted - True to mute
+   */
+  setMuted(muted) {
+    this.muted = !!muted;
+    this.applyVolume();
+  }
+
+  /**
+   * Set master volume
+   * @param {number} volume - Volume 0-1 (clamped)
+   */
+  setVolume(volume) {
+    if (!Number.isFinite(volume)) {
+      console.warn(`InnogyGame: Invalid volume ${JSON.stringify(volume)}, using ${this.volume}`);
+      return;
+    }
+    this.volume = Math.max(0, Math.min(1, volume));
+    this.applyVolume();
+  }
+
+  /**
+   * Apply volume and mute to the master gain
+   */
+  applyVolume() {
+    if (this.master) {
+      this.master.gain.value = this.muted ? 0 : this.volume;
+    }
+  }
+
+  /**
+   * Close the audio context
+   */
+  destroy() {
+    if (this.context) {
+      this.context.close().catch(() => {});
+      this.context = null;
+      this.master = null;
+    }
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Difficulty presets - tuning of the speed and spawn rate ramp
+ * The preset is part of the run (state, recording, score submission), so leaderboards can be
+ * split by difficulty and the server re-simulates a run with the same tuning
+ */
+
+import { GAME, PUCK } from '../utils/constants.js';
+import { hashSeed } from '../utils/random.js';
+
+/**
+ * Default ramp (matches GAME / PUCK constants)
+ */
+const NORMAL_DIFFICULTY = {
+  initialSpeed: GAME.INITIAL_SPEED,                    // puck fall speed (px per frame at 60fps)
+  speedIncrease: GAME.SPEED_INCREASE,                  // speed increase each ramp
+  maxSpeed: GAME.MAX_SPEED,
+  initialSpawnInterval: GAME.INITIAL_SPAWN_INTERVAL,   // ms between spawns
+  spawnIntervalDecrease: GAME.SPAWN_INTERVAL_DECREASE, // ms decrease each ramp
+  minSpawnInterval: GAME.MIN_SPAWN_INTERVAL,
+  horizontalMax: PUCK.HORIZONTAL_MAX                   // max horizontal speed of curving pucks
+};
+
+/**
+ * Built-in presets by name
+ */
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    initialSpeed: 5.0,
+    speedIncrease: 0.2,
+    maxSpeed: 13.0,
+    initialSpawnInterval: 1000,
+    spawnIntervalDecrease: 30,
+    minSpawnInterval: 600,
+    horizontalMax: 3.5
+  },
+  normal: NORMAL_DIFFICULTY,
+  hard: {
+    initialSpeed: 9.0,
+    speedIncrease: 0.5,
+    maxSpeed: 26.0,
+    initialSpawnInterval: 650,
+    spawnIntervalDecrease: 60,
+    minSpawnInterval: 300,
+    horizontalMax: 8.0
+  }
+};
+
+// Preset used when no difficulty is set
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Resolve difficulty option into complete settings
+ * @param {string|Object} difficulty - Preset name, or custom settings object merged over a preset
+ *   (optionally with `extends: '<name>'`, default: normal)
+ * @returns {Object} Settings with `name` ('easy', 'normal', 'hard' or 'custom-<hash>', see getCustomName())
+ */
+export function resolveDifficulty(difficulty) {
+  if (!difficulty) {
+    return { name: DEFAULT_DIFFICULTY, ...NORMAL_DIFFICULTY };
+  }
+
+  if (typeof difficulty === 'string') {
+    if (!DIFFICULTY_PRESETS[difficulty]) {
+      console.warn(`InnogyGame: Unknown difficulty "${difficulty}", using "${DEFAULT_DIFFICULTY}"`);
+      return resolveDifficulty(null);
+    }
+    return { name: difficulty, ...DIFFICULTY_PRESETS[difficulty] };
+  }
+
+  // Already resolved preset (e.g. from a run recording) - a preset name with overrides is custom
+  if (isPreset(difficulty.name, difficulty)) {
+    return resolveDifficulty(difficulty.name);
+  }
+
+  // Overrides of a preset (by `extends`, or the `name` of resolved settings) are merged over it
+  const base = difficulty.extends || (DIFFICULTY_PRESETS[difficulty.name] ? difficulty.name : null);
+  const settings = { ...resolveDifficulty(base) };
+  for (const key of Object.keys(NORMAL_DIFFICULTY)) {
+    const value = difficulty[key];
+    if (value === undefined) continue;
+    if (Number.isFinite(value) && value > 0) {
+      settings[key] = value;
+    } else {
+      console.warn(`InnogyGame: Invalid difficulty value ${key}=${value}, ignored`);
+    }
+  }
+
+  // Tuning equal to a preset (e.g. `extends` alone) is that preset
+  const preset = Object.keys(DIFFICULTY_PRESETS).find(name => isPreset(name, settings));
+  settings.name = preset || getCustomName(settings);
+  return settings;
+}
+
+/**
+ * Check if settings match a preset exactly
+ * @param {string} name - Preset name
+ * @param {Object} settings - Settings to compare
+ * @returns {boolean}
+ */
+function isPreset(name, settings) {
+  const preset = DIFFICULTY_PRESETS[name];
+  return !!preset && Object.keys(NORMAL_DIFFICULTY).every(key => settings[key] === preset[key]);
+}
+
+/**
+ * Get name of custom settings - every tuning has its own name, so it gets its own leaderboard
+ * @param {Object} settings - Complete settings
+ * @returns {string} Name 'custom-<hash>'
+ */
+function getCustomName(settings) {
+  const values = Object.keys(NORMAL_DIFFICULTY).map(key => settings[key]);
+  return 'custom-' + hashSeed(values.join('|')).toString(36);
+}
+
+/**
+ * Get custom settings to send with a score submission
+ * Presets are identified by name, custom settings are sent as a whole (the server needs them to re-simulate the run)
+ * @param {Object} settings - Resolved settings
+ * @returns {Object|null} Custom settings or null for a preset
+ */
+export function getCustomDifficulty(settings) {
+  if (DIFFICULTY_PRESETS[settings.name]) return null;
+
+  const custom = {};
+  for (const key of Object.keys(NORMAL_DIFFICULTY)) {
+    custom[key] = settings[key];
+  }
+  return custom;
+}
@@ -2,45 +2,122 @@
  * Main game controller - orchestrates all game systems
  */
 
-import { CANVAS, PUCK } from '../utils/constants.js';
-import { GameState } from './State.js';
-import { Renderer } from './Renderer.js';
+import { CANVAS, GAME, EFFECTS, PRACTICE, VERSUS, AUDIO } from '../utils/constants.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { GameMode } from './State.js';
+import { Simulation, SimulationEvent } from './Simulation.js';
+import { Renderer, getAssetUrl } from './Renderer.js';
 import { InputHandler } from '../utils/input.js';
-import { Goalie } from '../entities/Goalie.js';
-import { Goal } from '../entities/Goal.js';
-import { Puck } from '../entities/Puck.js';
+import { AudioEngine, SoundType } from './Audio.js';
 import { ConfettiSystem } from '../entities/Confetti.js';
 import { Leaderboard } from '../ui/Leaderboard.js';
-import { checkGoalieCatch, checkPuckInGoal } from './Physics.js';
+import { RunRecorder, encodeRecording } from './Recorder.js';
+import { validateRun } from './RunValidator.js';
+import { pointInRect } from './Physics.js';
+import { formatClock } from '../utils/helpers.js';
+import { randomSeed } from '../utils/random.js';
+import { I18n } from '../i18n/I18n.js';
+import { PuckType } from '../entities/PuckTypes.js';
+import { DEFAULT_DIFFICULTY, getCustomDifficulty } from './Difficulty.js';
+import { DEFAULT_CAMPAIGN_PATH, parseCampaign, getLevelName, getStars } from './Waves.js';
 
-export class Game {
+/**
+ * Events emitted by Game (subscribe with game.on(event, handler))
+ * Every payload contains score, lives, bestScore and duration (ms of play in the current run)
+ */
+export const GameEvent = {
+  START: 'start',                 // + practice, player (versus)
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  CATCH: 'catch',                 // + x, y (puck position), puckType, points, streak, multiplier
+  GOAL_CONCEDED: 'goalConceded',  // + x, y (puck position), penalty (points subtracted in time attack)
+  DUMMY_CAUGHT: 'dummyCaught',    // + x, y (puck position), penalty
+  LIFE_LOST: 'lifeLost',          // not emitted in time attack and practice (no lives)
+  END: 'end',                     // + isPersonalRecord, practice
+  NEW_RECORD: 'newRecord',        // + previousBest
+  POWER_UP: 'powerUp',            // + x, y, powerUp (type, see PowerUpType)
+  DIVE: 'dive',                   // + direction (-1 left, 1 right, 0 in place)
+  POST_HIT: 'postHit',            // + x, y (contact point on the post)
+  DEFLECT: 'deflect',             // + x, y (puck position) - goalie only grazed the puck
+  LEVEL_CLEARED: 'levelCleared',  // + level (id), stars, campaignComplete
+  VERSUS_END: 'versusEnd',        // + scores (by player), winner (player number, null on a draw)
+  LEADERBOARD_UPDATED: 'leaderboardUpdated', // + leaderboard (entries from API)
+  MUTE: 'mute'                    // + muted
+};
+
+// Toolbar mute button icons
+const SOUND_ICON = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
+  <path d="M11 5 6 9H2v6h4l5 4V5z" fill="currentColor"/>
+  <path d="M15.5 8.5a5 5 0 0 1 0 7"/>
+  <path d="M19 5a10 10 0 0 1 0 14"/>
+</svg>`;
+const MUTED_ICON = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
+  <path d="M11 5 6 9H2v6h4l5 4V5z" fill="currentColor"/>
+  <path d="m22 9-6 6"/>
+  <path d="m16 9 6 6"/>
+</svg>`;
+
+// Options that can be changed on a running game via setOptions()
+const LIVE_OPTIONS = ['confetti', 'secondaryButton', 'idleText', 'difficultySelector', 'practiceToggle'];
+
+export class Game extends EventEmitter {
   /**
    * Create game instance
    * @param {HTMLCanvasElement} canvas - Game canvas
    * @param {Object} elements - DOM element references
    * @param {Object} options - Game options
    * @param {boolean} options.confetti - Enable confetti effects (default: true)
+   * @param {boolean} options.audio - Enable sounds (default: true)
+   * @param {number} options.volume - Sound volume 0-1 (default: AUDIO.VOLUME)
+   * @param {Object} options.sounds - Sound file URLs by sound type (see SoundType), relative to assetsUrl
    * @param {Object} options.secondaryButton - Secondary button config {url, target, text}
+   * @param {string} options.mode - Game mode ('classic', 'daily', 'timeAttack', 'campaign' or 'versus', default: classic)
+   * @param {number} options.seed - Fixed RNG seed (daily challenge)
+   * @param {string} options.day - Daily challenge day key (YYYY-MM-DD)
+   * @param {ApiService} options.api - API client of this instance (default: shared apiService)
+   * @param {string} options.assetsUrl - Base URL for assets of this instance (optional)
+   * @param {string} options.locale - UI language: 'cs' (default), 'en', 'de' or a full tag like 'en-US'
+   * @param {Object} options.messages - Overrides of individual messages by key (optional)
+   * @param {string|Object} options.theme - Theme name ('innogy', 'dark', 'high-contrast') or partial theme object
+   * @param {string|Object} options.difficulty - Difficulty preset ('easy', 'normal', 'hard') or custom settings
+   * @param {boolean} options.difficultySelector - Show preset selector on idle overlay (default: false)
+   * @param {boolean} options.practiceToggle - Show practice mode toggle on idle overlay (default: false)
+   * @param {Object|Object[]} options.levels - Campaign data (see Waves.js), instead of loading levelsUrl
+   * @param {string} options.levelsUrl - Campaign JSON URL, relative to assetsUrl (default: assets/levels/campaign.json)
    */
   constructor(canvas, elements, options = {}) {
+    super();
+
     this.canvas = canvas;
     this.elements = elements;
     this.options = options;
+    this.i18n = new I18n(options.locale, options.messages);
 
     // Initialize subsystems
-    this.state = new GameState();
-    this.renderer = new Renderer(canvas, options);
-    this.input = new InputHandler(canvas);
-    this.goalie = new Goalie();
-    this.goal = new Goal();
-    this.confetti = new ConfettiSystem();
+    // Simulation is the DOM-free core; state/goalie/goal are shortcuts to its entities
+    this.simulation = new Simulation({ mode: options.mode, seed: options.seed, difficulty: options.difficulty });
+    this.state = this.simulation.state;
+    this.goalie = this.simulation.goalie;
+    this.goal = this.simulation.goal;
+    this.renderer = new Renderer(canvas, options, this.i18n);
+    this.input = new InputHandler(canvas, { focusRoot: elements.root });
+    this.confetti = new ConfettiSystem(this.state.seed);
+    this.confetti.setColors(this.renderer.theme.confetti, this.renderer.theme.confettiGold);
+
+    // Resizing clears the canvas - redraw right away (a running loop would do it on the next frame)
+    this.renderer.onResize = () => this.draw();
 
     // Leaderboard is optional (only if boardBody element exists)
-    this.leaderboard = elements.boardBody ? new Leaderboard(elements.boardBody) : null;
+    this.leaderboard = elements.boardBody ? new Leaderboard(elements.boardBody, options.api, this.i18n) : null;
 
     // Game objects
-    this.pucks = [];
     this.endOverlay = null;
+    this.powerUpNotice = null; // Name of the last caught power-up floating above the goalie
+    this.pings = []; // Rings around post hits and deflections {x, y, ttl, kind}
+
+    // Run recording and replay playback state
+    this.recorder = new RunRecorder();
+    this.replay = null;
 
     // Button bounds for canvas click detection
     this.buttonBounds = null;
@@ -48,17 +125,63 @@ export class Game {
     // Animation frame ID for cleanup
     this.animationId = null;
 
+    // Campaign {levels, index, results} - loaded by init() in campaign mode
+    // results[index] is the best score of each cleared level in this session
+    this.campaign = null;
+
+    // Versus match {turn, scores, seed} - both hot-seat players face the same puck sequence
+    this.versus = null;
+    if (options.mode === GameMode.VERSUS) {
+      this.newMatch();
+      this.simulation.reset(this.versus.seed);
+    }
+
+    // Puck speed of practice runs (kept while practice is toggled off and on)
+    this.practiceSpeed = PRACTICE.DEFAULT_SPEED;
+
+    // Sound mute flag (controlled via mute()/unmute() and the toolbar mute button)
+    this.muted = false;
+
+    // Difficulty set by setOptions() during a run - applied by restart() once the run is over
+    this.pendingDifficulty = null;
+
+    // Sound engine (none with audio: false) - browsers allow audio only after the first click / key press
+    this.audio = options.audio === false ? null : new AudioEngine({
+      volume: options.volume,
+      sounds: options.sounds,
+      assetsUrl: this.renderer.assetsBaseUrl
+    });
+
+    // Set by destroy() - pending async work (API responses) is dropped
+    this.destroyed = false;
+
     // Delta time tracking (for consistent speed across different refresh rates)
     this.lastTime = 0;
+    this.timeCarry = 0; // sub-millisecond remainder (simulation runs on whole ms so runs can be replayed exactly)
     this.targetFPS = 60;
     this.targetFrameTime = 1000 / this.targetFPS; // ~16.67ms per frame
 
     // Bind methods
     this.loop = this.loop.bind(this);
     this.handleCanvasClick = this.handleCanvasClick.bind(this);
+    this.handleCanvasDrag = this.handleCanvasDrag.bind(this);
+    this.handlePauseClick = () => {
+      this.playSound(SoundType.CLICK);
+      this.togglePause();
+    };
+    this.handleRestartClick = () => {
+      this.playSound(SoundType.CLICK);
+      this.restart();
+    };
+    this.handleMuteClick = () => {
+      this.setMuted(!this.muted);
+      this.playSound(SoundType.CLICK);
+    };
+    this.handleAudioUnlock = this.handleAudioUnlock.bind(this);
 
     // Setup
     this.bindUI();
+    this.updateMuteButton();
     this.init();
   }
 
@@ -66,14 +189,74 @@ export class Game {
    * Bind UI event listeners
    */
   bindUI() {
-    this.elements.pauseBtn.addEventListener('click', () => this.togglePause());
-    this.elements.restartBtn.addEventListener('click', () => this.restart());
+    this.elements.pauseBtn.addEventListener('click', this.handlePauseClick);
+    this.elements.restartBtn.addEventListener('click', this.handleRestartClick);
+    if (this.elements.muteBtn) {
+      this.elements.muteBtn.addEventListener('click', this.handleMuteClick);
+    }
+
+    // First user gesture anywhere on the page unlocks audio (autoplay restrictions)
+    if (this.audio && !this.audio.isUnlocked) {
+      window.addEventListener('pointerdown', this.handleAudioUnlock, true);
+      window.addEventListener('keydown', this.handleAudioUnlock, true);
+    }
 
     // Canvas click for overlay buttons
     this.canvas.addEventListener('click', this.handleCanvasClick);
 
+    // Dragging on replay scrub bar
+    this.canvas.addEventListener('mousemove', this.handleCanvasDrag);
+
     // Keyboard pause via input handler
     this.input.setPauseCallback(() => this.togglePause());
+    this.input.setPlayingCallback(() => this.state.isRunning);
+  }
+
+  /**
+   * Remove UI event listeners added by bindUI()
+   */
+  unbindUI() {
+    this.elements.pauseBtn.removeEventListener('click', this.handlePauseClick);
+    this.elements.restartBtn.removeEventListener('click', this.handleRestartClick);
+    if (this.elements.muteBtn) {
+      this.elements.muteBtn.removeEventListener('click', this.handleMuteClick);
+    }
+    window.removeEventListener('pointerdown', this.handleAudioUnlock, true);
+    window.removeEventListener('keydown', this.handleAudioUnlock, true);
+    this.canvas.removeEventListener('click', this.handleCanvasClick);
+    this.canvas.removeEventListener('mousemove', this.handleCanvasDrag);
+  }
+
+  /**
+   * Unlock audio on the first user gesture (listeners are removed once the context runs)
+   */
+  handleAudioUnlock() {
+    this.audio.unlock();
+    if (this.audio.isUnlocked) {
+      window.removeEventListener('pointerdown', this.handleAudioUnlock, true);
+      window.removeEventListener('keydown', this.handleAudioUnlock, true);
+    }
+  }
+
+  /**
+   * Play a sound effect (no-op with audio: false and for replay frames skipped by seeking)
+   * @param {string} type - Sound type (see SoundType)
+   * @param {number} delay - Delay in seconds
+   */
+  playSound(type, delay = 0) {
+    if (this.audio && !(this.replay && this.replay.seeking)) {
+      this.audio.play(type, delay);
+    }
+  }
+
+  /**
+   * Play the life lost sound (time attack and practice runs have no lives to lose)
+   * @param {number} delay - Delay in seconds
+   */
+  playLifeLostSound(delay = 0) {
+    if (!this.state.isTimeAttack && !this.isPractice) {
+      this.playSound(SoundType.LIFE_LOST, delay);
+    }
   }
 
   /**
@@ -84,11 +267,39 @@ export class Game {
     if (!this.buttonBounds) return;
 
     // Get click position relative to canvas
-    const rect = this.canvas.getBoundingClientRect();
-    const scaleX = this.canvas.width / rect.width;
-    const scaleY = this.canvas.height / rect.height;
-    const x = (e.clientX - rect.left) * scaleX;
-    const y = (e.clientY - rect.top) * scaleY;
+    const { x, y } = this.getCanvasPoint(e);
+
+    // Replay controls
+    if (this.state.isReplaying) {
+      this.handleReplayClick(x, y);
+      return;
+    }
+
+    // Check difficulty selector on idle overlay
+    if (this.state.isIdle && this.buttonBounds.difficultyButtons) {
+      const btn = this.buttonBounds.difficultyButtons.find(b => pointInRect(x, y, b.x, b.y, b.width, b.height));
+      if (btn) {
+        this.playSound(SoundType.CLICK);
+        this.setDifficulty(btn.difficulty);
+        return;
+      }
+    }
+
+    // Check practice toggle and speed pills on idle overlay
+    if (this.state.isIdle && this.buttonBounds.practiceButton) {
+      const btn = this.buttonBounds.practiceButton;
+      if (pointInRect(x, y, btn.x, btn.y, btn.width, btn.height)) {
+        this.playSound(SoundType.CLICK);
+        this.setPractice(!this.isPractice);
+        return;
+      }
+      const speedBtn = this.buttonBounds.practiceSpeedButtons.find(b => pointInRect(x, y, b.x, b.y, b.width, b.height));
+      if (speedBtn) {
+        this.playSound(SoundType.CLICK);
+        this.setPractice(true, speedBtn.speed);
+        return;
+      }
+    }
 
     // Check start button on idle overlay
     if (this.state.isIdle && this.buttonBounds.startButton) {
@@ -99,11 +310,22 @@ export class Game {
       }
     }
 
-    // Check play again button on end overlay
+    // Check play again (or next level) button on end overlay
     if (this.state.isEnded && this.buttonBounds.playAgainButton) {
       const btn = this.buttonBounds.playAgainButton;
       if (x >= btn.x && x <= btn.x + btn.width && y >= btn.y && y <= btn.y + btn.height) {
-        this.restart();
+        this.playSound(SoundType.CLICK);
+
+        // Hot-seat: the next player starts from the idle overlay
+        if (this.versus) {
+          this.restart();
+          return;
+        }
+        if (this.endOverlay.nextLevel) {
+          this.setLevel(this.campaign.index + 1);
+        } else {
+          this.restart();
+        }
         this.start();
         return;
       }
@@ -113,26 +335,98 @@ export class Game {
     if (this.state.isEnded && this.buttonBounds.secondaryButton && this.options.secondaryButton?.url) {
       const btn = this.buttonBounds.secondaryButton;
       if (x >= btn.x && x <= btn.x + btn.width && y >= btn.y && y <= btn.y + btn.height) {
+        this.playSound(SoundType.CLICK);
         const target = this.options.secondaryButton.target || '_self';
         window.open(this.options.secondaryButton.url, target);
         return;
       }
     }
+
+    // Check watch replay button on end overlay
+    if (this.state.isEnded && this.buttonBounds.replayButton) {
+      const btn = this.buttonBounds.replayButton;
+      if (pointInRect(x, y, btn.x, btn.y, btn.width, btn.height)) {
+        this.playSound(SoundType.CLICK);
+        this.startReplay();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Handle clicks on replay controls
+   * @param {number} x - Canvas X position
+   * @param {number} y - Canvas Y position
+   */
+  handleReplayClick(x, y) {
+    const { replayPlayButton, replaySpeedButton, replayCloseButton, replayScrubBar } = this.buttonBounds;
+
+    if (pointInRect(x, y, replayPlayButton.x, replayPlayButton.y, replayPlayButton.width, replayPlayButton.height)) {
+      this.playSound(SoundType.CLICK);
+      this.toggleReplayPlayback();
+    } else if (pointInRect(x, y, replaySpeedButton.x, replaySpeedButton.y, replaySpeedButton.width, replaySpeedButton.height)) {
+      this.playSound(SoundType.CLICK);
+      this.replay.speed = this.replay.speed === 1 ? 2 : 1;
+    } else if (pointInRect(x, y, replayCloseButton.x, replayCloseButton.y, replayCloseButton.width, replayCloseButton.height)) {
+      this.playSound(SoundType.CLICK);
+      this.exitReplay();
+    } else if (pointInRect(x, y, replayScrubBar.x, replayScrubBar.y, replayScrubBar.width, replayScrubBar.height)) {
+      this.scrubReplay(x);
+    }
+  }
+
+  /**
+   * Handle mouse drag on canvas (scrubbing the replay)
+   * @param {MouseEvent} e - Mouse move event
+   */
+  handleCanvasDrag(e) {
+    if (!this.state.isReplaying || !this.buttonBounds || e.buttons !== 1) return;
+
+    const { x, y } = this.getCanvasPoint(e);
+    const bar = this.buttonBounds.replayScrubBar;
+    if (pointInRect(x, y, bar.x, bar.y, bar.width, bar.height)) {
+      this.scrubReplay(x);
+    }
+  }
+
+  /**
+   * Convert mouse event position to logical canvas coordinates (independent of backing store size)
+   * @param {MouseEvent} e - Mouse event
+   * @returns {Object} Canvas point {x, y}
+   */
+  getCanvasPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const scaleX = CANVAS.WIDTH / rect.width;
+    const scaleY = CANVAS.HEIGHT / rect.height;
+
+    return {
+      x: (e.clientX - rect.left) * scaleX,
+      y: (e.clientY - rect.top) * scaleY
+    };
   }
 
   /**
    * Initialize game to ready state
    */
   async init() {
+    // Campaign levels are loaded once, before the leaderboard of the first level
+    if (this.state.mode === GameMode.CAMPAIGN && !this.campaign) {
+      await this.loadCampaign();
+      if (this.destroyed) return;
+    }
+
     // Try to initialize from API (gets player info and leaderboard)
     if (this.leaderboard) {
-      const playerData = await this.leaderboard.init();
+      const playerData = await this.leaderboard.init(this.getLeaderboardBucket());
+      if (this.destroyed) return;
 
       // Set best score from API if available
       if (playerData && playerData.bestScore) {
         this.state.setBestScore(playerData.bestScore);
       }
       // Otherwise best score stays at 0 (no localStorage fallback)
+
+      this.emitLeaderboardUpdated();
     }
 
     // Update UI
@@ -142,24 +436,73 @@ export class Game {
     this.draw();
   }
 
+  /**
+   * Load campaign levels (options.levels or JSON from options.levelsUrl) and set the first level
+   * Falls back to classic mode when no level can be loaded
+   */
+  async loadCampaign() {
+    try {
+      let data = this.options.levels;
+      if (!data) {
+        const url = getAssetUrl(this.options.levelsUrl || DEFAULT_CAMPAIGN_PATH, this.renderer.assetsBaseUrl);
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        data = await response.json();
+      }
+
+      const levels = parseCampaign(data);
+      if (levels.length === 0) {
+        throw new Error('no playable levels');
+      }
+      this.campaign = { levels, index: 0, results: [] };
+      this.simulation.setLevel(levels[0]);
+    } catch (error) {
+      console.error('InnogyGame: Failed to load campaign, playing classic mode:', error.message);
+      this.state.mode = GameMode.CLASSIC;
+    }
+  }
+
   /**
    * Start the game
    */
   start() {
-    if (this.state.isRunning) return;
+    if (this.destroyed || this.state.isRunning || this.state.isPaused) return;
+
+    // Campaign levels are still loading
+    if (this.state.mode === GameMode.CAMPAIGN && !this.campaign) return;
+
+    // Starting from the end overlay or a replay begins a fresh run
+    if (!this.state.isIdle) {
+      this.restart();
+    }
 
     this.state.start();
+    this.recorder.start(this.state.seed, this.state.difficulty);
+    this.input.consumeDive(); // Space or a double tap before the run doesn't dive
     this.elements.pauseBtn.disabled = false;
+    this.playSound(SoundType.START);
 
     // Start game loop with initial timestamp
     this.lastTime = performance.now();
+    this.timeCarry = 0;
     this.animationId = requestAnimationFrame((timestamp) => this.loop(timestamp));
+
+    this.emit(GameEvent.START, this.getEventPayload({
+      practice: this.isPractice,
+      ...(this.versus && { player: this.versus.turn + 1 })
+    }));
   }
 
   /**
    * Toggle pause state
    */
   togglePause() {
+    if (this.state.isReplaying) {
+      this.toggleReplayPlayback();
+      return;
+    }
     if (!this.state.isRunning && !this.state.isPaused) return;
 
     this.state.togglePause();
@@ -170,8 +513,218 @@ export class Game {
     // Resume loop if unpaused
     if (!this.state.isPaused) {
       this.lastTime = performance.now();
+      this.input.consumeDive(); // Space pressed while paused doesn't dive
       this.animationId = requestAnimationFrame((timestamp) => this.loop(timestamp));
     }
+
+    this.emit(this.state.isPaused ? GameEvent.PAUSE : GameEvent.RESUME, this.getEventPayload());
+  }
+
+  /**
+   * Pause a running game
+   */
+  pause() {
+    if (this.state.isRunning) {
+      this.togglePause();
+    }
+  }
+
+  /**
+   * Resume a paused game
+   */
+  resume() {
+    if (this.state.isPaused) {
+      this.togglePause();
+    }
+  }
+
+  /**
+   * Get snapshot of the public game state
+   * @returns {Object} State {status, score, lives, timeLeft, best, mode, level, player, difficulty, practice, muted, volume}
+   */
+  getState() {
+    return {
+      status: this.state.status,
+      score: this.state.score,
+      lives: this.state.lives,
+      timeLeft: this.state.timeLeft,
+      best: this.state.bestScore,
+      mode: this.state.mode,
+      level: this.simulation.level ? this.simulation.level.id : null,
+      player: this.versus ? this.versus.turn + 1 : null,
+      difficulty: this.state.difficulty.name,
+      practice: this.isPractice,
+      muted: this.muted,
+      volume: this.audio ? this.audio.volume : 0
+    };
+  }
+
+  /**
+   * Change difficulty - back to idle overlay with the leaderboard and best score of that difficulty
+   * Ignored while a run is in progress, a versus match starts over
+   * @param {string|Object} difficulty - Preset name ('easy', 'normal', 'hard') or custom settings
+   */
+  setDifficulty(difficulty) {
+    if (this.destroyed || this.state.isRunning || this.state.isPaused) return;
+
+    this.state.setDifficulty(difficulty);
+    this.state.setBestScore(0);
+    if (this.versus) {
+      this.newMatch();
+    }
+    this.restart();
+    this.init();
+  }
+
+  /**
+   * Switch campaign level - back to idle overlay with the leaderboard and best score of that level
+   * Ignored while a run is in progress
+   * @param {number} index - Level index (0-based)
+   */
+  setLevel(index) {
+    if (this.destroyed || !this.campaign || this.state.isRunning || this.state.isPaused) return;
+
+    const level = this.campaign.levels[index];
+    if (!level) return;
+
+    this.campaign.index = index;
+    this.simulation.setLevel(level);
+    this.state.setBestScore(0);
+    this.restart();
+    this.init();
+  }
+
+  /**
+   * Start a new versus match - player 1 first, on a fresh puck sequence
+   */
+  newMatch() {
+    this.versus = { turn: 0, scores: [], seed: randomSeed() };
+  }
+
+  /**
+   * Hand over to the next versus player (after the last one a new match starts)
+   */
+  nextTurn() {
+    if (this.versus.turn + 1 < VERSUS.PLAYERS) {
+      this.versus.turn++;
+    } else {
+      this.newMatch();
+    }
+  }
+
+  /**
+   * Get idle overlay label of the current campaign level or versus turn
+   * @returns {string|null} Label, e.g. "ÚROVEŇ 3/10: Salva" or "NA ŘADĚ: HRÁČ 2" (null in other modes)
+   */
+  getIdleLabel() {
+    if (this.versus) {
+      return this.i18n.t('idle.versus', { player: this.versus.turn + 1 });
+    }
+    if (!this.campaign) return null;
+
+    const { levels, index } = this.campaign;
+    return this.i18n.t('idle.level', {
+      number: index + 1,
+      total: levels.length,
+      name: getLevelName(levels[index], this.i18n.language)
+    });
+  }
+
+  /**
+   * Check if runs are practice runs (never submitted, best score untouched)
+   * @returns {boolean}
+   */
+  get isPractice() {
+    return !!this.simulation.practice;
+  }
+
+  /**
+   * Turn practice mode on or off - back to idle overlay
+   * Practice runs have unlimited lives, adjustable puck speed and hitbox hints; they are never
+   * submitted and never update the best score. Ignored while a run is in progress and in versus mode
+   * @param {boolean} enabled - True for practice runs
+   * @param {number} speed - Puck speed factor, one of PRACTICE.SPEEDS (default: last used)
+   */
+  setPractice(enabled, speed = this.practiceSpeed) {
+    if (this.destroyed || this.versus || this.state.isRunning || this.state.isPaused) return;
+
+    if (!PRACTICE.SPEEDS.includes(speed)) {
+      console.warn(`InnogyGame: Unsupported practice speed ${speed}, using ${PRACTICE.DEFAULT_SPEED}`);
+      speed = PRACTICE.DEFAULT_SPEED;
+    }
+    this.practiceSpeed = speed;
+    this.simulation.setPractice(enabled ? { speed } : null);
+    this.restart();
+  }
+
+  /**
+   * Update options of a running game (confetti, secondaryButton, idleText, difficultySelector, practiceToggle, theme, difficulty)
+   * Overlays are redrawn immediately when the game is not running
+   * @param {Object} options - Options to change
+   */
+  setOptions(options = {}) {
+    for (const key of LIVE_OPTIONS) {
+      if (key in options) {
+        this.options[key] = options[key];
+      }
+    }
+
+    if ('theme' in options) {
+      this.options.theme = options.theme;
+      this.renderer.setTheme(options.theme);
+      this.confetti.setColors(this.renderer.theme.confetti, this.renderer.theme.confettiGold);
+    }
+
+    if ('difficulty' in options && options.difficulty !== this.options.difficulty) {
+      this.options.difficulty = options.difficulty;
+      if (this.state.isRunning || this.state.isPaused) {
+        this.pendingDifficulty = { difficulty: options.difficulty };
+      } else {
+        this.setDifficulty(options.difficulty);
+      }
+    }
+
+    if (!this.state.isRunning) {
+      this.draw();
+    }
+  }
+
+  /**
+   * Mute or unmute game sounds
+   * @param {boolean} muted - True to mute
+   */
+  setMuted(muted) {
+    if (this.muted === !!muted) return;
+
+    this.muted = !!muted;
+    if (this.audio) {
+      this.audio.setMuted(this.muted);
+    }
+    this.updateMuteButton();
+    this.emit(GameEvent.MUTE, this.getEventPayload({ muted: this.muted }));
+  }
+
+  /**
+   * Set sound volume
+   * @param {number} volume - Volume 0-1
+   */
+  setVolume(volume) {
+    if (this.audio) {
+      this.audio.setVolume(volume);
+    }
+  }
+
+  /**
+   * Update mute button icon and label (hidden with audio: false)
+   */
+  updateMuteButton() {
+    const button = this.elements.muteBtn;
+    if (!button) return;
+
+    button.hidden = !this.audio;
+    button.innerHTML = this.muted ? MUTED_ICON : SOUND_ICON;
+    button.setAttribute('aria-label', this.i18n.t(this.muted ? 'toolbar.unmute' : 'toolbar.mute'));
+    button.setAttribute('aria-pressed', String(this.muted));
   }
 
   /**
@@ -186,27 +739,35 @@ export class Game {
       <path d="M8 5v14l11-7z"/>
     </svg>`;
     this.elements.pauseBtn.innerHTML = this.state.isPaused ? playIcon : pauseIcon;
-    this.elements.pauseBtn.setAttribute('aria-label', this.state.isPaused ? 'Pokračovat' : 'Pauza');
+    this.elements.pauseBtn.setAttribute('aria-label', this.i18n.t(this.state.isPaused ? 'toolbar.resume' : 'toolbar.pause'));
   }
 
   /**
    * Restart the game
    */
   restart() {
+    if (this.destroyed) return;
+
     // Cancel any running animation
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
       this.animationId = null;
     }
 
-    // Reset all state
-    this.state.reset();
-    this.pucks = [];
+    // A finished versus turn hands over to the next player
+    if (this.versus && this.versus.scores.length > this.versus.turn) {
+      this.nextTurn();
+    }
+
+    // Reset all state (every versus turn replays the seed of the match)
+    this.simulation.reset(this.versus ? this.versus.seed : undefined);
+    this.replay = null;
     this.confetti.clear();
-    this.goalie.reset();
-    this.goal.reset();
+    this.confetti.setSeed(this.state.seed);
     this.input.reset();
     this.endOverlay = null;
+    this.powerUpNotice = null;
+    this.pings = [];
 
     // Reset UI
     this.elements.pauseBtn.disabled = true;
@@ -216,28 +777,72 @@ export class Game {
 
     this.updateUI();
     this.draw();
+
+    // Difficulty changed during the finished run (see setOptions())
+    if (this.pendingDifficulty) {
+      const { difficulty } = this.pendingDifficulty;
+      this.pendingDifficulty = null;
+      this.setDifficulty(difficulty);
+    }
   }
 
   /**
    * End the game
    */
   async end() {
-    // Check for personal record (best score tracked in state)
-    const isPersonalRecord = this.state.score > this.state.bestScore;
-
-    // Save score to leaderboard via API
-    if (this.leaderboard) {
-      await this.leaderboard.addScore(this.state.score);
+    // Check for personal record (best score tracked in state, practice runs, versus turns and failed levels don't count)
+    const practice = this.isPractice;
+    const ranked = !practice && !this.versus && (!this.simulation.level || this.simulation.levelCleared);
+    const isPersonalRecord = ranked && this.state.score > this.state.bestScore;
+
+    // Keep the recording for instant replay
+    this.recorder.finish(this.state.score);
+
+    // Save score to leaderboard via API (with run stats and input log so the server can verify it)
+    // Physically impossible runs, practice runs, versus turns and failed campaign levels are never submitted
+    const { mode, level, cleared, duration, frames, spawned, catches, longestStreak, difficulty } = this.simulation.getRunStats();
+    if (this.leaderboard && ranked) {
+      const check = validateRun({ score: this.state.score, mode, level, duration, frames, spawned, catches, longestStreak, difficulty });
+
+      if (check.valid) {
+        // Custom difficulty settings are needed to verify the run server-side
+        const difficultySettings = getCustomDifficulty(difficulty);
+        const leaderboard = await this.leaderboard.addScore(this.state.score, {
+          ...this.getLeaderboardBucket(),
+          ...(difficultySettings && { difficultySettings }),
+          duration,
+          frames,
+          catches,
+          longestStreak,
+          replay: encodeRecording(this.recorder.recording)
+        });
+        // Widget was destroyed while the score was being submitted
+        if (this.destroyed) return;
+        if (leaderboard) {
+          this.emitLeaderboardUpdated();
+        }
+      } else {
+        console.warn('Run failed plausibility check, score not submitted:', check.reason);
+      }
     }
 
     // Update best score in state
-    this.state.updateBestScore();
+    const previousBest = this.state.bestScore;
+    if (ranked) {
+      this.state.updateBestScore();
+    }
 
     // Set end overlay
-    if (isPersonalRecord) {
+    const saves = this.i18n.t('end.saves', { count: this.state.score });
+    const streak = this.i18n.t('end.longestStreak', { streak: this.state.longestStreak });
+    if (this.versus) {
+      this.endOverlay = this.getVersusEndOverlay(saves);
+    } else if (this.campaign) {
+      this.endOverlay = this.getLevelEndOverlay(saves, isPersonalRecord, practice);
+    } else if (isPersonalRecord) {
       this.endOverlay = {
-        title: '🏆 OSOBNÍ REKORD!',
-        subtitle: `Počet zákroků: ${this.state.score}`,
+        title: this.i18n.t('end.recordTitle'),
+        subtitle: `${this.i18n.t('end.recordSubtitle', { saves })} • ${streak}`,
         isPersonalRecord: true
       };
 
@@ -249,102 +854,261 @@ export class Game {
       }
     } else {
       this.endOverlay = {
-        title: 'Konec hry',
-        subtitle: `Počet zákroků: ${this.state.score} • Můj rekord: ${this.state.bestScore}`,
+        title: this.i18n.t(practice ? 'practice.endTitle' : 'end.title'),
+        subtitle: `${this.i18n.t('end.subtitle', { saves, best: this.state.bestScore })} • ${streak}`,
         isPersonalRecord: false
       };
     }
 
+    this.endOverlay.canReplay = this.recorder.hasRecording;
+
     // End game state
     this.state.end();
     this.elements.pauseBtn.disabled = true;
 
     this.updateUI();
+
+    this.emit(GameEvent.END, this.getEventPayload({ isPersonalRecord, practice }));
+    if (isPersonalRecord) {
+      this.playSound(SoundType.RECORD);
+      this.emit(GameEvent.NEW_RECORD, this.getEventPayload({ previousBest }));
+    }
+    if (cleared) {
+      this.emit(GameEvent.LEVEL_CLEARED, this.getEventPayload({
+        level: level.id,
+        stars: getStars(level, this.state.score),
+        campaignComplete: !this.endOverlay.nextLevel
+      }));
+    }
+    if (this.endOverlay.matchOver) {
+      this.emit(GameEvent.VERSUS_END, this.getEventPayload({
+        scores: this.endOverlay.scores,
+        winner: this.endOverlay.winner
+      }));
+    }
   }
 
   /**
-   * Main update loop
-   * @param {number} delta - Time multiplier (1.0 = normal 60fps frame)
-   * @param {number} elapsedMs - Elapsed time in milliseconds
+   * Build end overlay of a versus turn - hand over to the next player, or the winner after the last turn
+   * @param {string} saves - Formatted score
+   * @returns {Object} End overlay
    */
-  update(delta, elapsedMs) {
-    // Update input and goalie position
-    const targetX = this.input.update();
-    this.goalie.update(targetX, delta);
-
-    // Spawn new pucks (uses milliseconds for timing)
-    if (this.state.shouldSpawn(elapsedMs)) {
-      // Calculate difficulty factor for horizontal movement (0-1)
-      // Starts after HORIZONTAL_START_DELAY frames and ramps up over time
-      const framesAfterDelay = Math.max(0, this.state.frameCount - PUCK.HORIZONTAL_START_DELAY);
-      const difficultyFactor = Math.min(1, framesAfterDelay / 600); // Full difficulty after ~10 sec
-      this.pucks.push(new Puck(this.state.speedBase, difficultyFactor));
-    }
-
-    // Update difficulty (uses milliseconds for timing)
-    this.state.updateDifficulty(elapsedMs);
-
-    // Update pucks and check collisions
-    let shouldEndGame = false;
-
-    for (const puck of this.pucks) {
-      puck.update(delta);
-
-      // Skip already caught/scored pucks
-      if (puck.caught || puck.scored) continue;
-
-      // Check if puck entered the goal (missed by goalie - counts as a goal against)
-      if (checkPuckInGoal(puck, this.goal)) {
-        puck.scored = true;
-        puck.markedForRemoval = true;
-        this.goal.triggerGoal();
-        const gameOver = this.state.decrementLives();
-        if (gameOver) {
-          // Defer end() until all pucks processed to capture final score
-          shouldEndGame = true;
-        }
-        continue;
-      }
+  getVersusEndOverlay(saves) {
+    const { turn, scores } = this.versus;
+    const player = turn + 1;
+    scores[turn] = this.state.score;
+
+    if (player < VERSUS.PLAYERS) {
+      return {
+        title: this.i18n.t('versus.turnOver', { player }),
+        subtitle: `${saves} • ${this.i18n.t('versus.nextPlayer', { player: player + 1 })}`,
+        isPersonalRecord: false,
+        primaryLabel: this.i18n.t('versus.next')
+      };
+    }
+
+    // Highest score wins, equal top scores are a draw
+    const top = Math.max(...scores);
+    const winner = scores.filter(score => score === top).length === 1 ? scores.indexOf(top) + 1 : null;
+    return {
+      title: winner ? this.i18n.t('versus.winner', { player: winner }) : this.i18n.t('versus.draw'),
+      scores: [...scores],
+      winner,
+      matchOver: true,
+      isPersonalRecord: false,
+      primaryLabel: this.i18n.t('versus.newMatch')
+    };
+  }
+
+  /**
+   * Build end overlay of a campaign level - cleared (stars, next level button) or failed (retry)
+   * Records the level score of a cleared (non-practice) run
+   * @param {string} saves - Formatted score
+   * @param {boolean} isPersonalRecord - Run beat the best score of the level
+   * @param {boolean} practice - Practice run
+   * @returns {Object} End overlay
+   */
+  getLevelEndOverlay(saves, isPersonalRecord, practice) {
+    const { levels, index, results } = this.campaign;
+    const level = levels[index];
+
+    if (!this.simulation.levelCleared) {
+      return {
+        title: this.i18n.t('level.failed'),
+        subtitle: this.i18n.t('end.subtitle', { saves, best: this.state.bestScore }),
+        isPersonalRecord: false
+      };
+    }
+
+    if (!practice) {
+      results[index] = Math.max(results[index] || 0, this.state.score);
+    }
 
-      // Check for catch by goalie
-      if (checkGoalieCatch(puck, this.goalie)) {
-        puck.catch();
+    const stars = getStars(level, this.state.score);
+    const parts = [saves];
+    if (level.stars.length > 0) {
+      parts.unshift('★'.repeat(stars) + '☆'.repeat(level.stars.length - stars));
+    }
 
-        // Trigger effects
-        this.goalie.triggerCatch();
+    // Last level - campaign total instead of the next level button
+    const nextLevel = index + 1 < levels.length;
+    if (!nextLevel) {
+      const total = results.reduce((sum, score) => sum + (score || 0), 0);
+      parts.push(this.i18n.t('level.total', { score: total }));
+    }
+
+    return {
+      title: this.i18n.t(nextLevel ? 'level.cleared' : 'level.complete'),
+      subtitle: parts.join(' • '),
+      isPersonalRecord,
+      nextLevel,
+      primaryLabel: this.i18n.t(nextLevel ? 'level.next' : 'end.playAgain')
+    };
+  }
+
+  /**
+   * Build event payload with current run info
+   * @param {Object} extra - Additional payload fields
+   * @returns {Object} Event payload
+   */
+  getEventPayload(extra = {}) {
+    return {
+      score: this.state.score,
+      lives: this.state.lives,
+      bestScore: this.state.bestScore,
+      duration: this.simulation.elapsedMs,
+      ...extra
+    };
+  }
+
+  /**
+   * Notify listeners about fresh leaderboard data
+   */
+  emitLeaderboardUpdated() {
+    if (this.leaderboard && this.leaderboard.entries) {
+      this.emit(GameEvent.LEADERBOARD_UPDATED, this.getEventPayload({
+        leaderboard: this.leaderboard.entries
+      }));
+    }
+  }
+
+  /**
+   * Get leaderboard bucket for the current mode and difficulty
+   * Sent to the API so that modes (daily challenge, time attack, campaign levels) and difficulties are ranked separately
+   * @returns {Object|null} Bucket params or null for the main leaderboard (classic, normal)
+   */
+  getLeaderboardBucket() {
+    const bucket = {};
+
+    if (this.state.mode === GameMode.DAILY) {
+      bucket.mode = GameMode.DAILY;
+      bucket.day = this.options.day;
+      bucket.seed = this.state.seed;
+    } else if (this.state.mode === GameMode.TIME_ATTACK) {
+      bucket.mode = GameMode.TIME_ATTACK;
+    } else if (this.state.mode === GameMode.CAMPAIGN && this.simulation.level) {
+      // Every level is ranked on its own
+      bucket.mode = GameMode.CAMPAIGN;
+      bucket.level = this.simulation.level.id;
+    }
+    if (this.state.difficulty.name !== DEFAULT_DIFFICULTY) {
+      bucket.difficulty = this.state.difficulty.name;
+    }
+
+    return Object.keys(bucket).length > 0 ? bucket : null;
+  }
+
+  /**
+   * Main update loop
+   * @param {number} elapsedMs - Elapsed time in milliseconds
+   * @param {number} targetX - Goalie target X (from input or recorded run)
+   * @param {boolean} dive - Dive requested this frame
+   */
+  update(elapsedMs, targetX, dive = false) {
+    const events = this.simulation.step(elapsedMs, targetX, dive);
+
+    // Trigger effects (and notify host page - replayed runs are not reported)
+    const notify = !this.state.isReplaying;
+    for (const event of events) {
+      if (event.type === SimulationEvent.CATCH) {
+        this.playSound(SoundType.CATCH);
         if (this.options.confetti !== false) {
-          this.confetti.spawn(puck.x, puck.y);
+          this.confetti.spawn(event.x, event.y, event.puckType === PuckType.GOLDEN);
+        }
+        if (notify) {
+          this.emit(GameEvent.CATCH, this.getEventPayload({
+            x: event.x,
+            y: event.y,
+            puckType: event.puckType,
+            points: event.points,
+            streak: event.streak,
+            multiplier: event.multiplier
+          }));
+        }
+      } else if (event.type === SimulationEvent.POWER_UP) {
+        this.powerUpNotice = {
+          type: event.powerUp,
+          x: event.x,
+          y: this.goalie.y - 90,
+          ttl: EFFECTS.CATCH_TEXT_DURATION * 1.5
+        };
+        if (notify) {
+          this.emit(GameEvent.POWER_UP, this.getEventPayload({ x: event.x, y: event.y, powerUp: event.powerUp }));
+        }
+      } else if (event.type === SimulationEvent.POST_HIT || event.type === SimulationEvent.DEFLECT) {
+        const kind = event.type === SimulationEvent.POST_HIT ? 'post' : 'deflect';
+        this.pings.push({ x: event.x, y: event.y, ttl: EFFECTS.PING_DURATION, kind });
+        if (kind === 'post') {
+          this.playSound(SoundType.POST);
+        }
+        if (notify) {
+          this.emit(kind === 'post' ? GameEvent.POST_HIT : GameEvent.DEFLECT, this.getEventPayload({ x: event.x, y: event.y }));
+        }
+      } else if (event.type === SimulationEvent.DIVE && notify) {
+        this.emit(GameEvent.DIVE, this.getEventPayload({ direction: event.direction }));
+      } else if (event.type === SimulationEvent.GOAL) {
+        // Horn, then the life lost sound once the horn is under way
+        this.playSound(SoundType.GOAL);
+        this.playLifeLostSound(AUDIO.LIFE_LOST_DELAY);
+        if (notify) {
+          this.emit(GameEvent.GOAL_CONCEDED, this.getEventPayload({ x: event.x, y: event.y, penalty: event.penalty }));
+          if (!this.state.isTimeAttack && !this.isPractice) {
+            this.emit(GameEvent.LIFE_LOST, this.getEventPayload());
+          }
+        }
+      } else if (event.type === SimulationEvent.DUMMY_CATCH) {
+        this.playLifeLostSound();
+        if (notify) {
+          this.emit(GameEvent.DUMMY_CAUGHT, this.getEventPayload({ x: event.x, y: event.y, penalty: event.penalty }));
+          if (!this.state.isTimeAttack && !this.isPractice) {
+            this.emit(GameEvent.LIFE_LOST, this.getEventPayload());
+          }
         }
-        this.state.incrementScore(puck.x, this.goalie.y - 60);
       }
     }
 
     // End game after all pucks processed (ensures final score is captured)
-    if (shouldEndGame) {
-      this.end();
+    // Replay playback stops on its own once recorded frames run out
+    if (this.simulation.isOver) {
+      if (events.some(event => event.gameOver) && !this.state.isReplaying) {
+        this.end();
+      }
       return; // Stop update cycle
     }
 
-    // Remove caught/scored pucks and off-screen pucks
-    // Note: Only pucks entering the goal count as missed (handled above)
-    // Pucks going off-screen elsewhere are simply removed without penalty
-    this.pucks = this.pucks.filter(puck => {
-      if (puck.markedForRemoval) {
-        return false;
-      }
-
-      if (puck.isOffScreen()) {
-        return false;
-      }
-
-      return true;
-    });
-
     // Update effects
+    const delta = elapsedMs / this.targetFrameTime;
     this.confetti.update(delta);
-    this.goal.update(delta);
-    this.state.updateEffects(delta);
-    this.state.tick(delta);
+    if (this.powerUpNotice) {
+      this.powerUpNotice.ttl -= delta;
+      if (this.powerUpNotice.ttl <= 0) {
+        this.powerUpNotice = null;
+      }
+    }
+    for (const ping of this.pings) {
+      ping.ttl -= delta;
+    }
+    this.pings = this.pings.filter(ping => ping.ttl > 0);
 
     // Update UI
     this.updateUI();
@@ -358,30 +1122,49 @@ export class Game {
     this.renderer.drawField();
 
     // Draw all pucks
-    for (const puck of this.pucks) {
+    for (const puck of this.simulation.pucks) {
       this.renderer.drawPuck(puck);
     }
 
-    // Draw goalie (in front of goal)
+    // Draw goalie (in front of goal) and power-up effects around it
+    this.renderer.drawPowerUpEffects(this.simulation.powerUps, this.goalie);
     this.renderer.drawGoalie(this.goalie);
+    this.renderer.drawDiveCooldown(this.goalie);
 
     // Draw goal (behind goalie)
     this.renderer.drawGoal(this.goal);
 
+    // Practice mode shows where catches and goals are decided
+    if (this.isPractice) {
+      this.renderer.drawHitboxHints(this.goalie, this.goal, this.simulation.pucks);
+    }
+
     // Draw confetti
     this.renderer.drawConfetti(this.confetti.particles);
 
     // Draw catch text effect
     this.renderer.drawCatchText(this.state.catchText);
+    this.renderer.drawPowerUpNotice(this.powerUpNotice);
+    this.renderer.drawPings(this.pings);
 
     // Draw HUD
     // this.renderer.drawHUD(this.state.score);
+    this.renderer.drawPowerUpHUD(this.simulation.powerUps.getActive());
+
+    // Whose turn it is (hot-seat players pass the device)
+    if (this.versus && (this.state.isRunning || this.state.isPaused)) {
+      this.renderer.drawPlayerBadge(this.versus.turn + 1);
+    }
 
     // Draw overlays and store button bounds for click detection
     if (this.state.isIdle) {
-      this.buttonBounds = this.renderer.drawIdleOverlay();
+      this.buttonBounds = this.renderer.drawIdleOverlay(this.state.difficulty.name, this.simulation.practice, this.getIdleLabel());
     } else if (this.state.isEnded) {
-      this.buttonBounds = this.renderer.drawEndOverlay(this.endOverlay);
+      this.buttonBounds = this.endOverlay && this.endOverlay.matchOver
+        ? this.renderer.drawVersusOverlay(this.endOverlay)
+        : this.renderer.drawEndOverlay(this.endOverlay);
+    } else if (this.state.isReplaying) {
+      this.buttonBounds = this.renderer.drawReplayControls(this.replay);
     } else {
       this.buttonBounds = null;
     }
@@ -392,14 +1175,24 @@ export class Game {
    * @param {number} timestamp - Current timestamp from requestAnimationFrame
    */
   loop(timestamp) {
-    // Calculate elapsed time in milliseconds
-    const elapsedMs = Math.min(timestamp - this.lastTime, 50); // Cap at 50ms to prevent huge jumps
+    // Calculate elapsed time in whole milliseconds, carrying the remainder to avoid drift
+    // (the first frame timestamp may be slightly before lastTime - never simulate negative time)
+    const rawMs = Math.max(0, Math.min(timestamp - this.lastTime, GAME.MAX_FRAME_TIME)) + this.timeCarry;
+    const elapsedMs = Math.floor(rawMs);
+    this.timeCarry = rawMs - elapsedMs;
     this.lastTime = timestamp;
 
     // Delta is ratio of elapsed time to target frame time
     // At 60fps: delta = 1.0, at 120fps: delta = 0.5, at 30fps: delta = 2.0
     const delta = elapsedMs / this.targetFrameTime;
 
+    if (this.state.isReplaying) {
+      this.updateReplay(elapsedMs);
+      this.draw();
+      this.animationId = requestAnimationFrame((ts) => this.loop(ts));
+      return;
+    }
+
     if (!this.state.isRunning) {
       // Still draw after game ends to show overlay and confetti
       if (this.state.isEnded) {
@@ -413,26 +1206,231 @@ export class Game {
       return;
     }
 
-    this.update(delta, elapsedMs);
+    // Sub-millisecond frame - wait until a whole ms has passed (recorded frames are at least 1 ms)
+    if (elapsedMs === 0) {
+      this.animationId = requestAnimationFrame((ts) => this.loop(ts));
+      return;
+    }
+
+    // Read input (whole px) and record the frame before simulating it
+    const targetX = Math.round(this.input.update());
+    const dive = this.input.consumeDive();
+    this.recorder.record(elapsedMs, targetX, dive);
+
+    this.update(elapsedMs, targetX, dive);
     this.draw();
     this.animationId = requestAnimationFrame((ts) => this.loop(ts));
   }
 
+  /**
+   * Start instant replay of the last finished run
+   */
+  startReplay() {
+    if (!this.recorder.hasRecording) return;
+
+    this.replay = {
+      recording: this.recorder.recording,
+      frame: 0,
+      timeBudget: 0,
+      speed: 1,
+      playing: true,
+      seeking: false // Frames are only re-simulated (no sounds)
+    };
+    this.resetReplaySimulation();
+
+    // Restart loop (a loop may still be running for end confetti)
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+    }
+    this.lastTime = performance.now();
+    this.animationId = requestAnimationFrame((timestamp) => this.loop(timestamp));
+  }
+
+  /**
+   * Reset simulation to the beginning of the recorded run
+   */
+  resetReplaySimulation() {
+    this.simulation.reset(this.replay.recording.seed);
+    this.state.startReplay();
+    this.confetti.clear();
+    this.powerUpNotice = null;
+    this.pings = [];
+    this.confetti.setSeed(this.state.seed);
+    this.replay.frame = 0;
+    this.replay.timeBudget = 0;
+  }
+
+  /**
+   * Simulate next recorded frame
+   */
+  stepReplayFrame() {
+    const [elapsedMs, targetX, dive] = this.replay.recording.frames[this.replay.frame];
+    this.update(elapsedMs, targetX, !!dive);
+    this.replay.frame++;
+  }
+
+  /**
+   * Advance replay playback by real elapsed time
+   * @param {number} elapsedMs - Real elapsed time in milliseconds
+   */
+  updateReplay(elapsedMs) {
+    const replay = this.replay;
+    const frames = replay.recording.frames;
+    if (!replay.playing) return;
+
+    // Play recorded frames at their original pace (scaled by playback speed)
+    replay.timeBudget += elapsedMs * replay.speed;
+    while (replay.frame < frames.length && replay.timeBudget >= frames[replay.frame][0]) {
+      replay.timeBudget -= frames[replay.frame][0];
+      this.stepReplayFrame();
+    }
+
+    // Hold the last frame when the run is over
+    if (replay.frame >= frames.length) {
+      replay.playing = false;
+    }
+  }
+
+  /**
+   * Jump replay to a given frame (re-simulates from the start when seeking backwards)
+   * @param {number} frame - Target frame index
+   */
+  seekReplay(frame) {
+    const total = this.replay.recording.frames.length;
+    const target = Math.max(0, Math.min(total, Math.round(frame)));
+
+    this.replay.seeking = true;
+    if (target < this.replay.frame) {
+      this.resetReplaySimulation();
+    }
+    while (this.replay.frame < target) {
+      this.stepReplayFrame();
+    }
+    this.replay.seeking = false;
+
+    // Effects and sounds from skipped frames would all burst at once
+    this.confetti.clear();
+    this.pings = [];
+    this.replay.timeBudget = 0;
+  }
+
+  /**
+   * Seek replay to position on scrub bar
+   * @param {number} x - Canvas X position
+   */
+  scrubReplay(x) {
+    const bar = this.buttonBounds.replayScrubBar;
+    const progress = (x - bar.x) / bar.width;
+    this.seekReplay(progress * this.replay.recording.frames.length);
+    this.draw();
+  }
+
+  /**
+   * Toggle replay play/pause (restarts from the beginning when finished)
+   */
+  toggleReplayPlayback() {
+    if (!this.replay) return;
+
+    if (!this.replay.playing && this.replay.frame >= this.replay.recording.frames.length) {
+      this.resetReplaySimulation();
+    }
+    this.replay.playing = !this.replay.playing;
+  }
+
+  /**
+   * Leave replay and return to the end overlay
+   */
+  exitReplay() {
+    if (!this.replay) return;
+
+    // Fast-forward to the end so the field matches the finished run
+    this.seekReplay(this.replay.recording.frames.length);
+    this.replay = null;
+    this.state.end();
+
+    this.updateUI();
+    this.draw();
+  }
+
   /**
    * Update all UI elements
    */
   updateUI() {
     this.elements.scoreEl.textContent = this.state.score;
-    this.elements.livesEl.textContent = this.state.lives;
+    // Time attack shows the countdown clock in place of lives, practice runs have unlimited lives
+    if (this.state.isTimeAttack) {
+      this.elements.livesEl.textContent = formatClock(this.state.timeLeft);
+    } else {
+      this.elements.livesEl.textContent = this.isPractice ? '∞' : this.state.lives;
+    }
     this.elements.bestEl.textContent = this.state.bestScore;
+
+    // Streak stat is optional (custom page layouts may leave it out)
+    if (this.elements.streakEl) {
+      const { streak, multiplier } = this.state;
+      this.elements.streakEl.textContent = multiplier > 1 ? `${streak} ×${multiplier}` : streak;
+    }
+
+    // Practice badge is optional as well
+    if (this.elements.practiceEl) {
+      this.elements.practiceEl.hidden = !this.isPractice;
+    }
+  }
+
+  /**
+   * Move the game to another canvas and DOM elements (widget remount)
+   * Game state, recording and leaderboard data are kept, a running game keeps running
+   * @param {HTMLCanvasElement} canvas - New game canvas
+   * @param {Object} elements - New DOM element references
+   */
+  remount(canvas, elements) {
+    if (this.destroyed) return;
+
+    this.unbindUI();
+
+    this.canvas = canvas;
+    this.elements = elements;
+    this.renderer.setCanvas(canvas);
+    this.input.attach(canvas, elements.root);
+    if (this.leaderboard) {
+      this.leaderboard.setContainer(elements.boardBody);
+    }
+
+    this.bindUI();
+
+    // Restore toolbar state
+    this.elements.pauseBtn.disabled = !this.state.isRunning && !this.state.isPaused;
+    this.updatePauseButton();
+    this.updateMuteButton();
+    this.updateUI();
+    this.draw();
   }
 
   /**
    * Clean up resources
+   * Stops the loop, removes all DOM/window listeners, aborts pending API requests
+   * and drops event subscribers - the instance can't be used afterwards
    */
   destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
+      this.animationId = null;
     }
+
+    this.unbindUI();
+    this.input.destroy();
+    this.renderer.destroy();
+    if (this.audio) {
+      this.audio.destroy();
+    }
+    if (this.leaderboard) {
+      this.leaderboard.destroy();
+    }
+    this.confetti.clear();
+    this.replay = null;
+    this.removeAllListeners();
   }
 }
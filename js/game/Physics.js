@@ -2,31 +2,63 @@
  * Physics module - collision detection and movement calculations
  */
 
-import { PUCK, CANVAS } from '../utils/constants.js';
+import { PUCK, CANVAS, POWERUP } from '../utils/constants.js';
+import { clamp } from '../utils/helpers.js';
 
 /**
  * Check if puck is caught by the goalie
- * Returns true when puck overlaps the goalie's catch zone
+ * Swept test - true when the puck center passed through the catch zone during its last move,
+ * so fast pucks can't tunnel through the glove between two frames
  *
  * @param {Puck} puck - Puck entity
  * @param {Goalie} goalie - Goalie entity
  * @returns {boolean} True if puck is caught by goalie
  */
 export function checkGoalieCatch(puck, goalie) {
-  const bounds = goalie.getCatchBounds();
-
-  // Check if puck center is within catch zone horizontally
-  // const withinWidth = puck.x >= bounds.left && puck.x <= bounds.right;
+  return sweepPuck(puck, goalie.getCatchBounds()) !== null;
+}
 
-  // Check if puck crossed into catch zone vertically this frame
-  // const crossedThreshold = (puck.prevY + puck.radius < bounds.top) &&
-                           (puck.y + puck.radius >= bounds.top);
+/**
+ * Check if puck only grazes the goalie - touches the catch zone without its center being inside
+ * (call when checkGoalieCatch() is false; such pucks are deflected instead of caught)
+ * @param {Puck} puck - Puck entity
+ * @param {Goalie} goalie - Goalie entity
+ * @returns {boolean} True if puck touches the catch zone
+ */
+export function checkGoalieDeflect(puck, goalie) {
+  const bounds = goalie.getCatchBounds();
 
-  const withinGoalie = puck.x >= bounds.left && puck.x <= bounds.right &&
-                       puck.y >= bounds.top && puck.y <= bounds.bottom;
+  return circleRectOverlap(
+    puck.x, puck.y, puck.radius,
+    bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top
+  );
+}
 
-//   return crossedThreshold && withinWidth;
-    return withinGoalie;
+/**
+ * Check if puck hits a goal post
+ * @param {Puck} puck - Puck entity
+ * @param {Goal} goal - Goal entity
+ * @returns {Object|null} Hit {x, y, nx, ny, side} - contact point, normal toward the puck
+ *   and side of the post the puck is on (-1 left, 1 right), or null
+ */
+export function checkPostHit(puck, goal) {
+  for (const post of goal.getPostBounds()) {
+    const closestX = clamp(puck.x, post.left, post.right);
+    const closestY = clamp(puck.y, post.top, post.bottom);
+    const dx = puck.x - closestX;
+    const dy = puck.y - closestY;
+    const distance = Math.hypot(dx, dy);
+    if (distance >= puck.radius) continue;
+
+    const side = puck.x < (post.left + post.right) / 2 ? -1 : 1;
+
+    // Center already inside the post (fast puck) - push it back out in front of the post
+    if (distance === 0) {
+      return { x: puck.x, y: post.top, nx: 0, ny: -1, side };
+    }
+    return { x: closestX, y: closestY, nx: dx / distance, ny: dy / distance, side };
+  }
+  return null;
 }
 
 /**
@@ -45,13 +77,75 @@ export function checkPuckMissed(puck) {
  * @returns {boolean} True if puck entered the goal
  */
 export function checkPuckInGoal(puck, goal) {
-  const bounds = goal.getBounds();
+  // Check if puck center passed into the goal opening during its last move
+  return sweepPuck(puck, goal.getBounds()) !== null;
+}
+
+/**
+ * Sweep the puck center along its last move (prevX, prevY -> x, y) against a rectangle
+ * @param {Puck} puck - Puck entity
+ * @param {Object} bounds - Rectangle {left, right, top, bottom}
+ * @returns {number|null} Fraction of the move (0-1) where the center entered the rectangle, or null
+ */
+export function sweepPuck(puck, bounds) {
+  return segmentRectEntry(puck.prevX, puck.prevY, puck.x, puck.y, bounds);
+}
+
+/**
+ * Find where a line segment enters a rectangle (Liang-Barsky clipping)
+ *
+ * @param {number} x0 - Segment start X
+ * @param {number} y0 - Segment start Y
+ * @param {number} x1 - Segment end X
+ * @param {number} y1 - Segment end Y
+ * @param {Object} bounds - Rectangle {left, right, top, bottom}
+ * @returns {number|null} Fraction of the segment (0-1) at the entry point (0 when it starts inside), or null
+ */
+export function segmentRectEntry(x0, y0, x1, y1, bounds) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  let entry = 0;
+  let exit = 1;
+
+  // Clip against each edge: p = direction toward the outside, q = distance to the edge
+  const edges = [
+    [-dx, x0 - bounds.left],
+    [dx, bounds.right - x0],
+    [-dy, y0 - bounds.top],
+    [dy, bounds.bottom - y0]
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      // Parallel to the edge - outside stays outside
+      if (q < 0) return null;
+    } else {
+      const t = q / p;
+      if (p < 0) {
+        entry = Math.max(entry, t);
+      } else {
+        exit = Math.min(exit, t);
+      }
+      if (entry > exit) return null;
+    }
+  }
+  return entry;
+}
+
+/**
+ * Pull puck horizontally toward the goalie (magnet power-up)
+ * Only pucks still above the goalie and within POWERUP.MAGNET_RADIUS are affected
+ *
+ * @param {Puck} puck - Puck entity
+ * @param {Goalie} goalie - Goalie entity
+ * @param {number} delta - Time multiplier (1.0 = normal 60fps frame)
+ */
+export function applyMagnet(puck, goalie, delta = 1) {
+  const dx = goalie.x - puck.x;
+  const dy = goalie.y - puck.y;
+  if (dy <= 0 || Math.hypot(dx, dy) > POWERUP.MAGNET_RADIUS) return;
 
-  // Check if puck center is within goal opening
-  return puck.x >= bounds.left &&
-         puck.x <= bounds.right &&
-         puck.y >= bounds.top &&
-         puck.y <= bounds.bottom;
+  const pull = Math.min(Math.abs(dx), POWERUP.MAGNET_PULL * delta);
+  puck.x += Math.sign(dx) * pull;
 }
 
 /**
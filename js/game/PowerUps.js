@@ -0,0 +1,111 @@
+/**
+ * Power-ups - special pucks that grant an effect when caught
+ * Timed effects run on simulation time, so replays and server-side verification reproduce them
+ */
+
+import { GAME, POWERUP, TIME_ATTACK } from '../utils/constants.js';
+
+/**
+ * Power-up type enum
+ */
+export const PowerUpType = {
+  EXTRA_LIFE: 'extraLife',   // +1 life (capped at GAME.MAX_LIVES), extra time in time attack
+  WIDE_GLOVE: 'wideGlove',   // wider goalie catch zone
+  SLOW_MOTION: 'slowMotion', // slower pucks
+  MAGNET: 'magnet'           // pulls nearby pucks toward the goalie
+};
+
+// Types in spawn pick order (order matters for seeded picks)
+export const POWER_UP_TYPES = [
+  PowerUpType.EXTRA_LIFE,
+  PowerUpType.WIDE_GLOVE,
+  PowerUpType.SLOW_MOTION,
+  PowerUpType.MAGNET
+];
+
+// Duration of timed effects in milliseconds (extra life is instant)
+const DURATIONS = {
+  [PowerUpType.WIDE_GLOVE]: POWERUP.WIDE_DURATION,
+  [PowerUpType.SLOW_MOTION]: POWERUP.SLOW_DURATION,
+  [PowerUpType.MAGNET]: POWERUP.MAGNET_DURATION
+};
+
+export class PowerUpSystem {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Clear all active effects
+   */
+  reset() {
+    // Remaining time in milliseconds by type
+    this.remaining = {};
+  }
+
+  /**
+   * Apply a caught power-up (catching an active effect again restarts its timer)
+   * @param {string} type - Power-up type
+   * @param {GameState} state - Game state (extra life)
+   */
+  activate(type, state) {
+    if (type === PowerUpType.EXTRA_LIFE) {
+      // Time attack has no lives - the clock gets extra time instead
+      if (state.isTimeAttack) {
+        state.addTime(TIME_ATTACK.EXTRA_TIME);
+      } else {
+        state.incrementLives(GAME.MAX_LIVES);
+      }
+      return;
+    }
+    this.remaining[type] = DURATIONS[type];
+  }
+
+  /**
+   * Check if an effect is active
+   * @param {string} type - Power-up type
+   * @returns {boolean}
+   */
+  isActive(type) {
+    return this.remaining[type] > 0;
+  }
+
+  /**
+   * Get puck speed multiplier of the active effects
+   * @returns {number} Speed factor (1 = normal speed)
+   */
+  get speedFactor() {
+    return this.isActive(PowerUpType.SLOW_MOTION) ? POWERUP.SLOW_FACTOR : 1;
+  }
+
+  /**
+   * Get goalie catch width multiplier of the active effects
+   * @returns {number} Catch width factor (1 = normal width)
+   */
+  get catchWidthFactor() {
+    return this.isActive(PowerUpType.WIDE_GLOVE) ? POWERUP.WIDE_FACTOR : 1;
+  }
+
+  /**
+   * Count down effect timers
+   * @param {number} elapsedMs - Elapsed time in milliseconds
+   */
+  update(elapsedMs) {
+    for (const type of Object.keys(this.remaining)) {
+      this.remaining[type] -= elapsedMs;
+      if (this.remaining[type] <= 0) {
+        delete this.remaining[type];
+      }
+    }
+  }
+
+  /**
+   * Get active effects for the HUD
+   * @returns {Object[]} Effects {type, remaining, duration} in POWER_UP_TYPES order
+   */
+  getActive() {
+    return POWER_UP_TYPES
+      .filter(type => this.isActive(type))
+      .map(type => ({ type, remaining: this.remaining[type], duration: DURATIONS[type] }));
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Run recorder - captures everything needed to reproduce a run
+ * A run is fully determined by its RNG seed and the per-frame input (elapsed time, goalie target, dive)
+ */
+
+import { CANVAS, GAME } from '../utils/constants.js';
+
+// Input log encoding version (bump when the format changes)
+// Version 1 logs (before dives) are still decoded
+const ENCODING_VERSION = 2;
+const DECODABLE_VERSIONS = [1, 2];
+
+export class RunRecorder {
+  constructor() {
+    this.seed = null;
+    this.difficulty = null;
+    this.frames = [];
+    this.recording = null;
+    this.active = false;
+  }
+
+  /**
+   * Start recording a new run
+   * @param {number} seed - RNG seed of the run
+   * @param {Object} difficulty - Difficulty settings of the run (needed to re-simulate it)
+   */
+  start(seed, difficulty = null) {
+    this.seed = seed;
+    this.difficulty = difficulty;
+    this.frames = [];
+    this.recording = null;
+    this.active = true;
+  }
+
+  /**
+   * Record a single simulation frame
+   * @param {number} elapsedMs - Elapsed time in milliseconds (whole ms, as fed to the simulation)
+   * @param {number} targetX - Goalie target X (whole px, as fed to the simulation)
+   * @param {boolean} dive - Dive requested this frame
+   */
+  record(elapsedMs, targetX, dive = false) {
+    if (!this.active) return;
+    this.frames.push(dive ? [elapsedMs, targetX, 1] : [elapsedMs, targetX]);
+  }
+
+  /**
+   * Finish recording
+   * @param {number} score - Final score (for reference)
+   * @returns {Object} Recording {seed, difficulty, frames, score, duration}
+   */
+  finish(score) {
+    this.active = false;
+    this.recording = {
+      seed: this.seed,
+      difficulty: this.difficulty,
+      frames: this.frames,
+      score,
+      duration: this.frames.reduce((sum, frame) => sum + frame[0], 0)
+    };
+    return this.recording;
+  }
+
+  /**
+   * Check if a finished recording is available
+   * @returns {boolean}
+   */
+  get hasRecording() {
+    return !!this.recording && this.recording.frames.length > 0;
+  }
+}
+
+/**
+ * Encode recording as a compact input log string (sent with score submission)
+ *
+ * Format: "2|<seed>|<frames>" where frames are comma-separated "<elapsedMs>:<dx>" tokens,
+ * dx being the change of goalie target X since the previous frame (starts at canvas center).
+ * Frames with a dive request get a ":1" suffix ("<elapsedMs>:<dx>:1").
+ * Repeated tokens are run-length encoded as "<token>*<count>", e.g. "17:0*24,16:3,17:-2:1".
+ *
+ * @param {Object} recording - Recording {seed, frames: [[elapsedMs, targetX, dive], ...]}
+ * @returns {string} Encoded input log
+ */
+export function encodeRecording(recording) {
+  const tokens = [];
+  let prevX = CANVAS.WIDTH / 2;
+  let lastToken = null;
+  let count = 0;
+
+  const flush = () => {
+    if (lastToken !== null) {
+      tokens.push(count > 1 ? `${lastToken}*${count}` : lastToken);
+    }
+  };
+
+  for (const [elapsedMs, targetX, dive] of recording.frames) {
+    const token = `${elapsedMs}:${targetX - prevX}${dive ? ':1' : ''}`;
+    prevX = targetX;
+
+    if (token === lastToken) {
+      count++;
+    } else {
+      flush();
+      lastToken = token;
+      count = 1;
+    }
+  }
+  flush();
+
+  return `${ENCODING_VERSION}|${recording.seed}|${tokens.join(',')}`;
+}
+
+/**
+ * Check if a decoded frame could have been produced by the game loop
+ * (whole ms in 1..GAME.MAX_FRAME_TIME, whole px target inside the field)
+ * @param {number} elapsedMs - Frame time
+ * @param {number} targetX - Goalie target X
+ * @returns {boolean}
+ */
+function isValidFrame(elapsedMs, targetX) {
+  return Number.isInteger(elapsedMs) && elapsedMs >= 1 && elapsedMs <= GAME.MAX_FRAME_TIME &&
+         Number.isInteger(targetX) && targetX >= 0 && targetX <= CANVAS.WIDTH;
+}
+
+/**
+ * Decode input log string produced by encodeRecording()
+ * Forged frames (e.g. negative or overlong frame times that add play time) make the whole log malformed
+ * @param {string} encoded - Encoded input log
+ * @returns {Object|null} Recording {seed, frames} or null if malformed
+ */
+export function decodeRecording(encoded) {
+  const parts = String(encoded).split('|');
+  if (parts.length !== 3 || !DECODABLE_VERSIONS.includes(Number(parts[0]))) return null;
+
+  const seed = Number(parts[1]);
+  const frames = [];
+  let x = CANVAS.WIDTH / 2;
+
+  for (const token of parts[2] ? parts[2].split(',') : []) {
+    const [frame, repeat = '1'] = token.split('*');
+    const [elapsedMs, dx, dive = 0, ...rest] = frame.split(':').map(Number);
+    const count = Number(repeat);
+
+    if (!Number.isInteger(dx) || !Number.isInteger(count) || count < 1 ||
+        (dive !== 0 && dive !== 1) || rest.length > 0) {
+      return null;
+    }
+
+    for (let i = 0; i < count; i++) {
+      x += dx;
+      if (!isValidFrame(elapsedMs, x)) return null;
+      frames.push(dive ? [elapsedMs, x, 1] : [elapsedMs, x]);
+    }
+  }
+
+  return Number.isFinite(seed) ? { seed, frames } : null;
+}
@@ -2,28 +2,53 @@
  * Renderer - handles all canvas drawing operations
  */
 
-import { CANVAS, COLORS, GOAL } from '../utils/constants.js';
+import { CANVAS, GOAL, POWERUP, EFFECTS, PRACTICE } from '../utils/constants.js';
 import { roundedRectPath } from '../utils/helpers.js';
-
-// Global assets base URL (can be set by widget for cross-origin usage)
+import { I18n } from '../i18n/I18n.js';
+import { resolveTheme } from './Themes.js';
+import { PowerUpType } from './PowerUps.js';
+import { PuckType } from '../entities/PuckTypes.js';
+
+// Power-up puck and HUD icons by type (see PowerUpType)
+const POWER_UP_ICONS = {
+  [PowerUpType.EXTRA_LIFE]: '♥',
+  [PowerUpType.WIDE_GLOVE]: '↔',
+  [PowerUpType.SLOW_MOTION]: '🐢',
+  [PowerUpType.MAGNET]: '🧲'
+};
+
+// Default assets base URL for renderers without their own assetsUrl option
 let assetsBaseUrl = '';
 
 /**
- * Set the base URL for loading assets (used by widget for cross-origin)
+ * Normalize assets base URL
+ * @param {string} url - Base URL for assets
+ * @returns {string} URL with trailing slash (or empty string)
+ */
+function normalizeBaseUrl(url) {
+  if (!url) return '';
+  // Ensure trailing slash
+  return url.endsWith('/') ? url : url + '/';
+}
+
+/**
+ * Set the default base URL for loading assets
+ * Note: affects every renderer on the page - widgets pass their own `assetsUrl` option instead
  * @param {string} url - Base URL for assets (e.g., 'https://yourdomain.com/gamifikace/')
  */
 export function setAssetsBaseUrl(url) {
-  // Ensure trailing slash
-  assetsBaseUrl = url.endsWith('/') ? url : url + '/';
+  assetsBaseUrl = normalizeBaseUrl(url);
 }
 
 /**
  * Get full asset URL
- * @param {string} path - Relative asset path
+ * @param {string} path - Relative asset path (absolute URLs are returned unchanged)
+ * @param {string} baseUrl - Base URL (default: page-wide default base URL)
  * @returns {string} Full URL
  */
-function getAssetUrl(path) {
-  return assetsBaseUrl + path;
+export function getAssetUrl(path, baseUrl = assetsBaseUrl) {
+  if (/^([a-z]+:|\/)/i.test(path)) return path;
+  return baseUrl + path;
 }
 
 export class Renderer {
@@ -33,37 +58,172 @@ export class Renderer {
    * @param {Object} options - Renderer options
    * @param {Object} options.secondaryButton - Secondary button config {url, target, text}
    * @param {Object} options.idleText - Idle overlay text config {title, subtitle1, subtitle2}
+   * @param {string} options.mode - Game mode (daily challenge and time attack show a label on idle overlay)
+   * @param {string} options.assetsUrl - Base URL for assets of this instance (optional)
+   * @param {string|Object} options.theme - Theme name or partial theme object (see Themes.js)
+   * @param {boolean} options.difficultySelector - Show difficulty preset selector on idle overlay
+   * @param {boolean} options.practiceToggle - Show practice mode toggle on idle overlay
+   * @param {I18n} i18n - Translator for overlay texts (default: Czech)
    */
-  constructor(canvas, options = {}) {
-    this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
+  constructor(canvas, options = {}, i18n = new I18n()) {
+    this.canvas = null;
+    this.ctx = null;
+
+    // Logical size - all drawing, physics and hit-testing use these coordinates
     this.width = CANVAS.WIDTH;
     this.height = CANVAS.HEIGHT;
+
+    // Backing store scale (CSS size × devicePixelRatio / logical size)
+    this.scale = 1;
+    this.pixelRatio = 1;
+    this.onResize = null; // Called after the backing store was resized (content must be redrawn)
+    this.resizeObserver = typeof ResizeObserver !== 'undefined'
+      ? new ResizeObserver(() => this.resize())
+      : null;
+
+    this.setCanvas(canvas);
     this.options = options;
+    this.i18n = i18n;
+    this.assetsBaseUrl = options.assetsUrl ? normalizeBaseUrl(options.assetsUrl) : assetsBaseUrl;
+
+    this.logoImage = null;
+    this.logoUrl = null;
+    this.goalieImage = null;
+    this.goalieUrl = null;
+    this.goalieDiveImage = null;
+    this.goalieDiveUrl = null;
+    this.setTheme(options.theme);
+  }
+
+  /**
+   * Apply theme (sprites are reloaded only when their URL changes)
+   * @param {string|Object} theme - Theme name or partial theme object (see Themes.js)
+   */
+  setTheme(theme) {
+    this.theme = resolveTheme(theme);
 
     // Load innogy logo for puck
-    this.logoImage = new Image();
-    this.logoImage.crossOrigin = 'anonymous'; // Enable CORS for cross-origin images
-    this.logoImage.src = getAssetUrl('assets/innogy-logo-simple-white.svg');
-    this.logoLoaded = false;
-    this.logoImage.onload = () => {
-      this.logoLoaded = true;
-    };
+    const logoUrl = getAssetUrl(this.theme.assets.logo, this.assetsBaseUrl);
+    if (logoUrl !== this.logoUrl) {
+      this.logoUrl = logoUrl;
+      this.logoLoaded = false;
+      this.logoImage = this.loadImage(logoUrl, () => {
+        this.logoLoaded = true;
+      });
+    }
 
     // Load goalie image
-    this.goalieImage = new Image();
-    this.goalieImage.crossOrigin = 'anonymous'; // Enable CORS for cross-origin images
-    this.goalieImage.src = getAssetUrl('assets/goalie-2.svg');
-    this.goalieLoaded = false;
-    this.goalieImage.onload = () => {
-      this.goalieLoaded = true;
-    };
+    const goalieUrl = getAssetUrl(this.theme.assets.goalie, this.assetsBaseUrl);
+    if (goalieUrl !== this.goalieUrl) {
+      this.goalieUrl = goalieUrl;
+      this.goalieLoaded = false;
+      this.goalieImage = this.loadImage(goalieUrl, () => {
+        this.goalieLoaded = true;
+      });
+    }
+
+    // Load optional dive sprite
+    const goalieDiveUrl = this.theme.assets.goalieDive ? getAssetUrl(this.theme.assets.goalieDive, this.assetsBaseUrl) : null;
+    if (goalieDiveUrl !== this.goalieDiveUrl) {
+      this.goalieDiveUrl = goalieDiveUrl;
+      this.goalieDiveLoaded = false;
+      this.goalieDiveImage = goalieDiveUrl ? this.loadImage(goalieDiveUrl, () => {
+        this.goalieDiveLoaded = true;
+      }) : null;
+    }
+  }
+
+  /**
+   * Start loading an image
+   * @param {string} url - Image URL
+   * @param {Function} onload - Called when loaded
+   * @returns {HTMLImageElement} Image
+   */
+  loadImage(url, onload) {
+    const image = new Image();
+    image.crossOrigin = 'anonymous'; // Enable CORS for cross-origin images
+    image.onload = onload;
+    image.src = url;
+    return image;
+  }
+
+  /**
+   * Get canvas font in theme font family
+   * @param {number} weight - Font weight
+   * @param {number} size - Font size in px
+   * @returns {string} CSS font
+   */
+  font(weight, size) {
+    return `${weight} ${size}px ${this.theme.font}`;
+  }
+
+  /**
+   * Draw to another canvas (widget remount), loaded images are kept
+   * @param {HTMLCanvasElement} canvas - Canvas element
+   */
+  setCanvas(canvas) {
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver.observe(canvas);
+    }
+
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.resize();
+  }
+
+  /**
+   * Size backing store to displayed size × devicePixelRatio (sharp on HiDPI screens)
+   * Logical coordinates stay CANVAS.WIDTH × CANVAS.HEIGHT at any size
+   */
+  resize() {
+    if (!this.canvas) return;
+
+    // Not laid out yet (e.g. hidden container) - keep logical size
+    const cssWidth = this.canvas.getBoundingClientRect().width || this.width;
+    const pixelRatio = Math.min(window.devicePixelRatio || 1, CANVAS.MAX_PIXEL_RATIO);
+    const backingWidth = Math.round(cssWidth * pixelRatio);
+    const backingHeight = Math.round(backingWidth * this.height / this.width);
+
+    this.pixelRatio = pixelRatio;
+    this.scale = backingWidth / this.width;
+    if (this.canvas.width === backingWidth && this.canvas.height === backingHeight) return;
+
+    // Setting the size clears the canvas
+    this.canvas.width = backingWidth;
+    this.canvas.height = backingHeight;
+    if (this.onResize) {
+      this.onResize();
+    }
+  }
+
+  /**
+   * Release canvas and cancel pending image loads
+   */
+  destroy() {
+    for (const image of [this.logoImage, this.goalieImage, this.goalieDiveImage].filter(Boolean)) {
+      image.onload = null;
+      image.src = '';
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
+    this.onResize = null;
+    this.canvas = null;
+    this.ctx = null;
   }
 
   /**
    * Clear the entire canvas
    */
   clear() {
+    // Browser zoom or moving the window to another screen changes the pixel ratio
+    if (Math.min(window.devicePixelRatio || 1, CANVAS.MAX_PIXEL_RATIO) !== this.pixelRatio) {
+      this.resize();
+    }
+
+    // Map logical coordinates to the backing store for the whole frame
+    this.ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
     this.ctx.clearRect(0, 0, this.width, this.height);
   }
 
@@ -77,9 +237,10 @@ export class Renderer {
 
     // Ice background - white with subtle blue tint
     const iceGrad = ctx.createLinearGradient(0, 0, 0, H);
-    iceGrad.addColorStop(0, '#f0f5fa');
-    iceGrad.addColorStop(0.5, '#e8f0f8');
-    iceGrad.addColorStop(1, '#e0eaf5');
+    const [iceTop, iceMiddle, iceBottom] = this.theme.rink.ice;
+    iceGrad.addColorStop(0, iceTop);
+    iceGrad.addColorStop(0.5, iceMiddle);
+    iceGrad.addColorStop(1, iceBottom);
     ctx.fillStyle = iceGrad;
     ctx.fillRect(0, 0, W, H);
 
@@ -89,7 +250,7 @@ export class Renderer {
 
     ctx.save();
     // Blue crease fill
-    ctx.fillStyle = 'rgba(37, 90, 214, 0.6)';
+    ctx.fillStyle = this.theme.rink.crease;
 
     ctx.beginPath();
     // Top half of circle: from Math.PI (left) to 0 (right), counterclockwise = upward
@@ -97,7 +258,7 @@ export class Renderer {
     ctx.fill();
 
     // Red crease outline
-    ctx.strokeStyle = '#c81e1e';
+    ctx.strokeStyle = this.theme.rink.lines;
     ctx.lineWidth = 4;
     ctx.beginPath();
     ctx.arc(W / 2, goalLineY, creaseRadius, Math.PI, 0, false);
@@ -106,7 +267,7 @@ export class Renderer {
 
     // Goal line (red line across the bottom)
     ctx.save();
-    ctx.strokeStyle = '#c81e1e';
+    ctx.strokeStyle = this.theme.rink.lines;
     ctx.lineWidth = 5;
     ctx.beginPath();
     ctx.moveTo(0, goalLineY);
@@ -143,11 +304,11 @@ export class Renderer {
     ctx.save();
 
     // Goal net background (white mesh)
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.fillStyle = this.theme.goal.net;
     ctx.fillRect(bounds.left, bounds.top, goal.width, goal.height);
 
     // Draw net mesh pattern
-    ctx.strokeStyle = 'rgba(180, 180, 180, 0.5)';
+    ctx.strokeStyle = this.theme.goal.mesh;
     ctx.lineWidth = 1;
 
     // Vertical lines
@@ -168,7 +329,7 @@ export class Renderer {
     }
 
     // Goal posts (red)
-    ctx.fillStyle = GOAL.POST_COLOR;
+    ctx.fillStyle = this.theme.goal.posts;
 
     // Left post
     ctx.fillRect(bounds.left - postWidth, bounds.top - 4, postWidth, goal.height + 4);
@@ -189,9 +350,10 @@ export class Renderer {
       const centerX = (bounds.left + bounds.right) / 2;
       const centerY = (bounds.top + bounds.bottom) / 2;
       const grd = ctx.createRadialGradient(centerX, centerY, 10, centerX, centerY, 200);
-      grd.addColorStop(0, `rgba(239,68,68,${0.55 * goal.goalFlash})`);
-      grd.addColorStop(0.5, `rgba(220,38,38,${0.3 * goal.goalFlash})`);
-      grd.addColorStop(1, 'rgba(185,28,28,0)');
+      const flash = this.theme.goal.flash;
+      grd.addColorStop(0, `rgba(${flash}, ${0.55 * goal.goalFlash})`);
+      grd.addColorStop(0.5, `rgba(${flash}, ${0.3 * goal.goalFlash})`);
+      grd.addColorStop(1, `rgba(${flash}, 0)`);
       ctx.fillStyle = grd;
       ctx.beginPath();
       ctx.arc(centerX, centerY, 200, 0, Math.PI * 2);
@@ -221,12 +383,39 @@ export class Renderer {
     if (this.goalieLoaded && this.goalieImage.complete) {
       // Apply catch animation (slight scale bounce)
       const scale = 1 + goalie.catchAnimation * 0.08;
+      const lean = goalie.diveLean;
+      const diving = lean > 0 && this.goalieDiveLoaded;
+      const image = diving ? this.goalieDiveImage : this.goalieImage;
+
+      // Faded ghost behind a lunging goalie
+      if (goalie.isDiving && goalie.diveDirection !== 0) {
+        ctx.globalAlpha = 0.25;
+        ctx.drawImage(
+          image,
+          goalie.x - goalie.diveDirection * 40 - bounds.width / 2,
+          bounds.top,
+          bounds.width,
+          bounds.height
+        );
+        ctx.globalAlpha = 1;
+      }
 
       ctx.translate(goalie.x, goalie.y);
+
+      // Regular sprite leans into the dive and stretches out (a dive sprite is drawn as it is)
+      if (lean > 0 && !diving) {
+        ctx.rotate(goalie.diveDirection * lean * 0.9);
+        ctx.scale(1 + lean * 0.2, 1 - lean * 0.15);
+      }
       ctx.scale(scale, scale);
 
+      // Dive sprite faces right - mirrored for dives to the left
+      if (diving && goalie.diveDirection < 0) {
+        ctx.scale(-1, 1);
+      }
+
       ctx.drawImage(
-        this.goalieImage,
+        image,
         -bounds.width / 2,
         -bounds.height / 2,
         bounds.width,
@@ -238,8 +427,9 @@ export class Renderer {
     // Catch flash effect (green for successful save)
     if (goalie.catchFlash > 0) {
       const grd = ctx.createRadialGradient(0, 0, 10, 0, 0, 180);
-      grd.addColorStop(0, `rgba(34,197,94,${0.45 * goalie.catchFlash})`);
-      grd.addColorStop(1, 'rgba(22,163,74,0)');
+      const flash = this.theme.colors.catchFlash;
+      grd.addColorStop(0, `rgba(${flash}, ${0.45 * goalie.catchFlash})`);
+      grd.addColorStop(1, `rgba(${flash}, 0)`);
       ctx.fillStyle = grd;
       ctx.beginPath();
       ctx.arc(0, -30, 150, 0, Math.PI * 2);
@@ -250,27 +440,65 @@ export class Renderer {
   }
 
   /**
-   * Draw a hockey puck - black with white center circle and innogy logo
+   * Draw dive cooldown bar under the goalie (hidden when the next dive is ready)
+   * @param {Goalie} goalie - Goalie entity
+   */
+  drawDiveCooldown(goalie) {
+    const charge = goalie.diveCharge;
+    if (charge >= 1) return;
+
+    const ctx = this.ctx;
+    const width = 60;
+    const height = 5;
+    const x = goalie.x - width / 2;
+    const y = goalie.getBounds().bottom + 4;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    roundedRectPath(ctx, x, y, width, height, height / 2);
+    ctx.fill();
+    ctx.fillStyle = this.theme.colors.brand;
+    roundedRectPath(ctx, x, y, Math.max(height, width * charge), height, height / 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  /**
+   * Draw a hockey puck - black body, special puck types get their own look
+   * (golden glow, curving swirl, splitter crack, ghosted dummy with warning cross)
    * @param {Puck} puck - Puck entity
    */
   drawPuck(puck) {
+    if (puck.powerUp) {
+      this.drawPowerUpPuck(puck);
+      return;
+    }
+
     const ctx = this.ctx;
     const { x, y, radius } = puck;
 
+    const isGolden = puck.type === PuckType.GOLDEN;
+
     ctx.save();
     ctx.translate(x, y);
 
-    // Drop shadow
-    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-    ctx.shadowBlur = 15;
-    ctx.shadowOffsetY = 5;
+    // Dummies are ghosted
+    if (puck.type === PuckType.DUMMY) {
+      ctx.globalAlpha = 0.55;
+    }
+
+    // Drop shadow (golden pucks glow instead)
+    ctx.shadowColor = isGolden ? `rgba(${this.theme.colors.recordGlow}, 0.9)` : 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = isGolden ? 18 : 15;
+    ctx.shadowOffsetY = isGolden ? 0 : 5;
 
     // Main black puck body
     const bodyGrad = ctx.createLinearGradient(0, -radius, 0, radius);
-    bodyGrad.addColorStop(0, '#3a3a3a');
-    bodyGrad.addColorStop(0.3, '#1a1a1a');
-    bodyGrad.addColorStop(0.7, '#0a0a0a');
-    bodyGrad.addColorStop(1, '#000000');
+    const body = isGolden ? this.theme.puckTypes.golden : this.theme.puck.body;
+    bodyGrad.addColorStop(0, body[0]);
+    bodyGrad.addColorStop(0.3, body[1]);
+    bodyGrad.addColorStop(0.7, body[2]);
+    bodyGrad.addColorStop(1, body[3]);
     ctx.fillStyle = bodyGrad;
     ctx.beginPath();
     ctx.arc(0, 0, radius, 0, Math.PI * 2);
@@ -282,7 +510,7 @@ export class Renderer {
     ctx.shadowOffsetY = 0;
 
     // Outer rim highlight (rubber edge effect)
-    ctx.strokeStyle = 'rgba(60, 60, 60, 0.8)';
+    ctx.strokeStyle = this.theme.puck.rim;
     ctx.lineWidth = 2;
     ctx.beginPath();
     ctx.arc(0, 0, radius - 1, 0, Math.PI * 2);
@@ -336,6 +564,262 @@ export class Renderer {
     ctx.ellipse(0, -radius * 0.5, radius * 0.6, radius * 0.2, 0, 0, Math.PI * 2);
     ctx.fill();
 
+    this.drawPuckTypeMark(puck);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw type marking on top of the puck body (context translated to puck center)
+   * @param {Puck} puck - Puck entity
+   */
+  drawPuckTypeMark(puck) {
+    const ctx = this.ctx;
+    const { radius } = puck;
+    const colors = this.theme.puckTypes;
+
+    ctx.lineCap = 'round';
+    ctx.lineWidth = 2;
+
+    if (puck.type === PuckType.CURVING) {
+      // Swirl stripe bending the way the puck curves
+      ctx.strokeStyle = colors.curving;
+      ctx.beginPath();
+      if (puck.curve > 0) {
+        ctx.arc(0, 0, radius * 0.55, Math.PI * 0.75, Math.PI * 2);
+      } else {
+        ctx.arc(0, 0, radius * 0.55, Math.PI, Math.PI * 0.25, true);
+      }
+      ctx.stroke();
+    } else if (puck.type === PuckType.SPLITTER) {
+      // Zig-zag crack across the middle
+      ctx.strokeStyle = colors.splitter;
+      ctx.beginPath();
+      ctx.moveTo(0, -radius);
+      ctx.lineTo(-radius * 0.3, -radius * 0.3);
+      ctx.lineTo(radius * 0.3, radius * 0.3);
+      ctx.lineTo(0, radius);
+      ctx.stroke();
+    } else if (puck.type === PuckType.DUMMY) {
+      // Warning cross and ring - don't catch
+      const arm = radius * 0.45;
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = colors.dummy;
+      ctx.beginPath();
+      ctx.moveTo(-arm, -arm);
+      ctx.lineTo(arm, arm);
+      ctx.moveTo(arm, -arm);
+      ctx.lineTo(-arm, arm);
+      ctx.stroke();
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.arc(0, 0, radius + 3, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Draw a power-up puck - colored disc with glow and type icon
+   * @param {Puck} puck - Puck entity with powerUp type
+   */
+  drawPowerUpPuck(puck) {
+    const ctx = this.ctx;
+    const { x, y, radius } = puck;
+    const color = this.theme.powerUps[puck.powerUp];
+
+    ctx.save();
+    ctx.translate(x, y);
+
+    // Glow
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 18;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // White rim
+    ctx.shadowBlur = 0;
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, radius - 1, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Icon
+    ctx.fillStyle = '#ffffff';
+    ctx.font = this.font(900, Math.round(radius * 1.1));
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(POWER_UP_ICONS[puck.powerUp], 0, 1);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw active power-up effects around the goalie (wide catch zone, magnet range)
+   * @param {PowerUpSystem} powerUps - Power-up system
+   * @param {Goalie} goalie - Goalie entity
+   */
+  drawPowerUpEffects(powerUps, goalie) {
+    const ctx = this.ctx;
+
+    ctx.save();
+
+    // Wide glove - highlight the enlarged catch zone
+    if (powerUps.isActive(PowerUpType.WIDE_GLOVE)) {
+      const bounds = goalie.getCatchBounds();
+      ctx.fillStyle = this.theme.powerUps[PowerUpType.WIDE_GLOVE];
+      ctx.globalAlpha = 0.18;
+      roundedRectPath(ctx, bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top, 12);
+      ctx.fill();
+    }
+
+    // Magnet - dashed ring of the pull range
+    if (powerUps.isActive(PowerUpType.MAGNET)) {
+      ctx.strokeStyle = this.theme.powerUps[PowerUpType.MAGNET];
+      ctx.globalAlpha = 0.35;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([8, 8]);
+      ctx.beginPath();
+      ctx.arc(goalie.x, goalie.y, POWERUP.MAGNET_RADIUS, Math.PI, 0, false);
+      ctx.stroke();
+    }
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw active timed power-ups with their remaining time (top right corner)
+   * @param {Object[]} effects - Active effects {type, remaining, duration}
+   */
+  drawPowerUpHUD(effects) {
+    if (effects.length === 0) return;
+
+    const ctx = this.ctx;
+    const chipHeight = 30;
+    const right = this.width - 14;
+
+    ctx.save();
+    ctx.font = this.font(700, 13);
+    ctx.textBaseline = 'middle';
+
+    effects.forEach((effect, index) => {
+      const color = this.theme.powerUps[effect.type];
+      const label = this.i18n.t(`powerUp.${effect.type}`);
+      const time = this.i18n.t('powerUp.remaining', { seconds: Math.ceil(effect.remaining / 1000) });
+      const chipWidth = ctx.measureText(`${label} ${time}`).width + 52;
+      const chipX = right - chipWidth;
+      const chipY = 14 + index * (chipHeight + 6);
+
+      // Chip background
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+      roundedRectPath(ctx, chipX, chipY, chipWidth, chipHeight, 8);
+      ctx.fill();
+
+      // Icon dot
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(chipX + 16, chipY + chipHeight / 2, 10, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#ffffff';
+      ctx.textAlign = 'center';
+      ctx.fillText(POWER_UP_ICONS[effect.type], chipX + 16, chipY + chipHeight / 2 + 1);
+
+      // Label and remaining time
+      ctx.textAlign = 'left';
+      ctx.fillText(`${label} ${time}`, chipX + 32, chipY + chipHeight / 2 + 1);
+
+      // Remaining time bar
+      ctx.fillStyle = color;
+      ctx.fillRect(chipX + 6, chipY + chipHeight - 3, (chipWidth - 12) * (effect.remaining / effect.duration), 2);
+    });
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw name of a just caught power-up floating above the goalie
+   * @param {Object|null} notice - Notice state {type, x, y, ttl}
+   */
+  drawPowerUpNotice(notice) {
+    if (!notice || notice.ttl <= 0) return;
+
+    const ctx = this.ctx;
+    const lift = EFFECTS.CATCH_TEXT_DURATION * 1.5 - notice.ttl;
+    const text = `${POWER_UP_ICONS[notice.type]} ${this.i18n.t(`powerUp.${notice.type}`)}`;
+
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, notice.ttl / 10);
+    ctx.font = this.font(900, 20);
+    ctx.textAlign = 'center';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.lineWidth = 4;
+    ctx.fillStyle = this.theme.powerUps[notice.type];
+    const x = Math.max(90, Math.min(this.width - 90, notice.x));
+    ctx.strokeText(text, x, notice.y - lift);
+    ctx.fillText(text, x, notice.y - lift);
+    ctx.restore();
+  }
+
+  /**
+   * Draw rings around post hits and deflections (with a short label)
+   * @param {Object[]} pings - Pings {x, y, ttl, kind}
+   */
+  drawPings(pings) {
+    if (pings.length === 0) return;
+
+    const ctx = this.ctx;
+    const ping = this.theme.goal.ping;
+
+    ctx.save();
+    ctx.textAlign = 'center';
+    ctx.font = this.font(900, 16);
+    for (const { x, y, ttl, kind } of pings) {
+      const progress = 1 - ttl / EFFECTS.PING_DURATION;
+      const alpha = Math.max(0, ttl / EFFECTS.PING_DURATION);
+
+      ctx.strokeStyle = `rgba(${ping}, ${alpha})`;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(x, y, 8 + progress * 28, 0, Math.PI * 2);
+      ctx.stroke();
+
+      const text = this.i18n.t(`effect.${kind}`);
+      const textX = Math.max(60, Math.min(this.width - 60, x));
+      const textY = y - 30 - progress * 20;
+      ctx.globalAlpha = alpha;
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.lineWidth = 4;
+      ctx.fillStyle = `rgb(${ping})`;
+      ctx.strokeText(text, textX, textY);
+      ctx.fillText(text, textX, textY);
+      ctx.globalAlpha = 1;
+    }
+    ctx.restore();
+  }
+
+  /**
+   * Draw badge of the versus player whose turn it is (top left)
+   * @param {number} player - Player number (1-based)
+   */
+  drawPlayerBadge(player) {
+    const ctx = this.ctx;
+    const label = this.i18n.t('versus.player', { player });
+
+    ctx.save();
+    ctx.font = this.font(800, 13);
+    const badgeWidth = ctx.measureText(label).width + 44;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+    roundedRectPath(ctx, 14, 14, badgeWidth, 28, 14);
+    ctx.fill();
+    ctx.fillStyle = this.theme.colors.brand;
+    ctx.beginPath();
+    ctx.arc(30, 28, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'left';
+    ctx.fillText(label, 42, 33);
     ctx.restore();
   }
 
@@ -359,7 +843,7 @@ export class Renderer {
 
   /**
    * Draw the score catch text effect
-   * @param {Object|null} catchText - Catch text state with value property
+   * @param {Object|null} catchText - Catch text state {value, streak, multiplier, ...}
    */
   drawCatchText(catchText) {
     if (!catchText || catchText.ttl <= 0) return;
@@ -370,15 +854,24 @@ export class Renderer {
     const text = String(catchText.value);
 
     ctx.save();
-    ctx.font = '900 26px system-ui, -apple-system, Segoe UI, Roboto, Arial';
-    ctx.fillStyle = `rgba(0, 180, 80, ${opacity})`;
+    ctx.font = this.font(900, 26);
+    ctx.fillStyle = `rgba(${this.theme.colors.catchText}, ${opacity})`;
     ctx.strokeStyle = `rgba(255, 255, 255, ${opacity * 0.8})`;
     ctx.lineWidth = 3;
-    ctx.shadowColor = 'rgba(0, 180, 80, 0.6)';
+    ctx.shadowColor = `rgba(${this.theme.colors.catchText}, 0.6)`;
     ctx.shadowBlur = 12;
     ctx.textAlign = 'center';
     ctx.strokeText(text, catchText.x, catchText.y - lift);
     ctx.fillText(text, catchText.x, catchText.y - lift);
+
+    // Combo multiplier and streak below the score
+    if (catchText.multiplier > 1) {
+      const combo = this.i18n.t('hud.combo', { multiplier: catchText.multiplier, streak: catchText.streak });
+      ctx.font = this.font(800, 15);
+      ctx.shadowBlur = 0;
+      ctx.strokeText(combo, catchText.x, catchText.y - lift + 20);
+      ctx.fillText(combo, catchText.x, catchText.y - lift + 20);
+    }
     ctx.restore();
   }
 
@@ -393,35 +886,48 @@ export class Renderer {
     ctx.fillStyle = 'rgba(255,255,255,0.08)';
     ctx.fillRect(18, 18, 220, 44);
     ctx.fillStyle = 'rgba(255,255,255,0.95)';
-    ctx.font = '700 16px system-ui, -apple-system, Segoe UI, Roboto, Arial';
-    ctx.fillText(`Zásahů: ${score}`, 30, 46);
+    ctx.font = this.font(700, 16);
+    ctx.fillText(this.i18n.t('hud.score', { score }), 30, 46);
     ctx.restore();
   }
 
   /**
    * Draw idle state overlay (before game starts)
+   * @param {string} difficulty - Current difficulty name (highlighted in the selector)
+   * @param {Object|null} practice - Practice settings {speed} or null when practice is off
+   * @param {string|null} label - Label above the title (campaign level), replaces the mode label
    * @returns {Object} Button bounds for click detection
    */
-  drawIdleOverlay() {
+  drawIdleOverlay(difficulty, practice = null, label = null) {
     const ctx = this.ctx;
     const idleText = this.options.idleText || {};
 
     ctx.save();
 
     // Dimmed background
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.28)';
+    ctx.fillStyle = this.theme.colors.idleOverlay;
     ctx.fillRect(0, 0, this.width, this.height);
 
+    // Daily challenge / time attack / campaign level label above title
+    const modeLabel = { daily: 'idle.daily', timeAttack: 'idle.timeAttack' }[this.options.mode];
+    const labelText = label || (modeLabel && this.i18n.t(modeLabel));
+    if (labelText) {
+      ctx.fillStyle = this.theme.colors.brand;
+      ctx.font = this.font(800, 14);
+      ctx.textAlign = 'center';
+      ctx.fillText(labelText, this.width / 2, 165);
+    }
+
     // Title
-    const title = idleText.title || 'Chytej puky!';
-    ctx.fillStyle = 'rgba(0,0,0,0.95)';
-    ctx.font = '900 28px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    const title = idleText.title || this.i18n.t('idle.title');
+    ctx.fillStyle = this.theme.colors.text;
+    ctx.font = this.font(900, 28);
     ctx.textAlign = 'center';
     ctx.fillText(title, this.width / 2, 200);
 
     // Subtitles (only draw if specified)
-    ctx.fillStyle = COLORS.MUTED;
-    ctx.font = '600 18px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    ctx.fillStyle = this.theme.colors.muted;
+    ctx.font = this.font(600, 18);
 
     let subtitleY = 235;
     if (idleText.subtitle1) {
@@ -441,23 +947,152 @@ export class Renderer {
 
     // Button background with gradient
     const btnGrad = ctx.createLinearGradient(btnX, btnY, btnX, btnY + btnHeight);
-    btnGrad.addColorStop(0, COLORS.BRAND_PRIMARY);
-    btnGrad.addColorStop(1, '#c4006a');
+    btnGrad.addColorStop(0, this.theme.colors.brand);
+    btnGrad.addColorStop(1, this.theme.colors.brandDark);
     ctx.fillStyle = btnGrad;
     roundedRectPath(ctx, btnX, btnY, btnWidth, btnHeight, 10);
     ctx.fill();
 
     // Button text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '700 18px system-ui, -apple-system, Segoe UI, Roboto, Arial';
-    ctx.fillText('Začít hrát', this.width / 2, btnY + 32);
+    ctx.fillStyle = this.theme.colors.buttonText;
+    ctx.font = this.font(700, 18);
+    ctx.fillText(this.i18n.t('idle.start'), this.width / 2, btnY + 32);
 
     ctx.restore();
 
     // Return button bounds for click detection
-    return {
+    const bounds = {
       startButton: { x: btnX, y: btnY, width: btnWidth, height: btnHeight }
     };
+    let rowY = btnY + btnHeight + 18;
+    if (this.options.difficultySelector) {
+      bounds.difficultyButtons = this.drawDifficultySelector(difficulty, rowY);
+      rowY += 50;
+    }
+    // Versus turns are always ranked against each other - no practice runs
+    if (this.options.practiceToggle && this.options.mode !== 'versus') {
+      Object.assign(bounds, this.drawPracticeToggle(practice, rowY));
+    }
+    return bounds;
+  }
+
+  /**
+   * Draw selector pill (filled when selected, outlined otherwise)
+   * @param {string} label - Pill text
+   * @param {number} x - Left X position
+   * @param {number} y - Top Y position
+   * @param {number} width - Pill width
+   * @param {number} height - Pill height
+   * @param {boolean} selected - Selected state
+   */
+  drawPill(label, x, y, width, height, selected) {
+    const ctx = this.ctx;
+
+    ctx.save();
+    ctx.font = this.font(700, 14);
+    ctx.textAlign = 'center';
+    ctx.lineWidth = 2;
+
+    roundedRectPath(ctx, x, y, width, height, height / 2);
+    if (selected) {
+      ctx.fillStyle = this.theme.colors.brand;
+      ctx.fill();
+    } else {
+      ctx.strokeStyle = this.theme.colors.brand;
+      ctx.stroke();
+    }
+    ctx.fillStyle = selected ? this.theme.colors.buttonText : this.theme.colors.brand;
+    ctx.fillText(label, x + width / 2, y + height / 2 + 5);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draw difficulty preset selector (segmented pills)
+   * @param {string} current - Current difficulty name
+   * @param {number} y - Top Y position
+   * @returns {Object[]} Button bounds {difficulty, x, y, width, height}
+   */
+  drawDifficultySelector(current, y) {
+    const ctx = this.ctx;
+    const presets = ['easy', 'normal', 'hard'];
+    const btnWidth = 104;
+    const btnHeight = 32;
+    const gap = 8;
+    let x = (this.width - (btnWidth * presets.length + gap * (presets.length - 1))) / 2;
+
+    return presets.map(difficulty => {
+      this.drawPill(this.i18n.t(`difficulty.${difficulty}`), x, y, btnWidth, btnHeight, difficulty === current);
+
+      const button = { difficulty, x, y, width: btnWidth, height: btnHeight };
+      x += btnWidth + gap;
+      return button;
+    });
+  }
+
+  /**
+   * Draw practice mode toggle and, while practice is on, puck speed pills next to it
+   * @param {Object|null} practice - Practice settings {speed} or null when practice is off
+   * @param {number} y - Top Y position
+   * @returns {Object} Button bounds {practiceButton, practiceSpeedButtons}
+   */
+  drawPracticeToggle(practice, y) {
+    const toggleWidth = 124;
+    const speedWidth = 64;
+    const btnHeight = 32;
+    const gap = 8;
+    const speeds = practice ? PRACTICE.SPEEDS : [];
+    const rowWidth = toggleWidth + speeds.length * (speedWidth + gap);
+    let x = (this.width - rowWidth) / 2;
+
+    const label = this.i18n.t(practice ? 'practice.on' : 'practice.off');
+    this.drawPill(label, x, y, toggleWidth, btnHeight, !!practice);
+    const practiceButton = { x, y, width: toggleWidth, height: btnHeight };
+    x += toggleWidth + gap;
+
+    const practiceSpeedButtons = speeds.map(speed => {
+      const text = this.i18n.t('practice.speed', { percent: Math.round(speed * 100) });
+      this.drawPill(text, x, y, speedWidth, btnHeight, speed === practice.speed);
+
+      const button = { speed, x, y, width: speedWidth, height: btnHeight };
+      x += speedWidth + gap;
+      return button;
+    });
+
+    return { practiceButton, practiceSpeedButtons };
+  }
+
+  /**
+   * Draw hitbox hints (practice mode)
+   * A puck is caught when its center is inside the catch zone and concedes a goal when its center enters the goal opening
+   * @param {Goalie} goalie - Goalie entity
+   * @param {Goal} goal - Goal entity
+   * @param {Puck[]} pucks - Pucks on the field
+   */
+  drawHitboxHints(goalie, goal, pucks) {
+    const ctx = this.ctx;
+    const catchZone = goalie.getCatchBounds();
+    const opening = goal.getBounds();
+
+    ctx.save();
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+
+    ctx.strokeStyle = this.theme.hitbox.catchZone;
+    ctx.strokeRect(catchZone.left, catchZone.top, catchZone.right - catchZone.left, catchZone.bottom - catchZone.top);
+
+    ctx.strokeStyle = this.theme.hitbox.goal;
+    ctx.strokeRect(opening.left, opening.top, opening.right - opening.left, opening.bottom - opening.top);
+
+    ctx.fillStyle = this.theme.hitbox.puck;
+    for (const puck of pucks) {
+      if (puck.caught || puck.scored) continue;
+      ctx.beginPath();
+      ctx.arc(puck.x, puck.y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    ctx.restore();
   }
 
   /**
@@ -470,14 +1105,14 @@ export class Renderer {
 
     const ctx = this.ctx;
     const bw = 560;
-    const bh = 220;
+    const bh = overlay.canReplay ? 270 : 220;
     const bx = (this.width - bw) / 2;
     const by = 150;
 
     ctx.save();
 
     // Dimmed background
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.fillStyle = this.theme.colors.endOverlay;
     ctx.fillRect(0, 0, this.width, this.height);
 
     // Gold glow for all-time record
@@ -486,15 +1121,15 @@ export class Renderer {
         this.width / 2, by + bh / 2, 40,
         this.width / 2, by + bh / 2, 380
       );
-      g.addColorStop(0, 'rgba(255, 193, 7, 0.22)');
-      g.addColorStop(1, 'rgba(255, 193, 7, 0)');
+      g.addColorStop(0, `rgba(${this.theme.colors.recordGlow}, 0.22)`);
+      g.addColorStop(1, `rgba(${this.theme.colors.recordGlow}, 0)`);
       ctx.fillStyle = g;
       ctx.fillRect(bx - 80, by - 60, bw + 160, bh + 140);
     }
 
     // Box background
-    ctx.fillStyle = 'rgba(255,255,255,0.8)';
-    ctx.strokeStyle = 'rgba(48, 48, 48, 0.18)';
+    ctx.fillStyle = this.theme.colors.panel;
+    ctx.strokeStyle = this.theme.colors.panelBorder;
     ctx.lineWidth = 1.5;
     roundedRectPath(ctx, bx, by, bw, bh, 18);
     ctx.fill();
@@ -502,22 +1137,37 @@ export class Renderer {
 
     // Title
     ctx.textAlign = 'center';
-    ctx.fillStyle = overlay.isPersonalRecord ? 'rgba(255, 211, 74, 0.98)' : COLORS.MUTED;
-    ctx.font = '900 34px system-ui, -apple-system, Segoe UI, Roboto, Arial';
-    ctx.shadowColor = overlay.isPersonalRecord ? 'rgba(255, 193, 7, 0.55)' : 'transparent';
+    ctx.fillStyle = overlay.isPersonalRecord ? this.theme.colors.record : this.theme.colors.muted;
+    ctx.font = this.font(900, 34);
+    ctx.shadowColor = overlay.isPersonalRecord ? `rgba(${this.theme.colors.recordGlow}, 0.55)` : 'transparent';
     ctx.shadowBlur = overlay.isPersonalRecord ? 16 : 0;
     ctx.fillText(overlay.title, this.width / 2, by + 60);
 
     // Subtitle
     ctx.shadowBlur = 0;
-    ctx.fillStyle = COLORS.MUTED;
-    ctx.font = '700 16px system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    ctx.fillStyle = this.theme.colors.muted;
+    ctx.font = this.font(700, 16);
     ctx.fillText(overlay.subtitle, this.width / 2, by + 94);
 
+    const bounds = this.drawEndButtons(overlay, by + 125);
+
+    ctx.restore();
+
+    return bounds;
+  }
+
+  /**
+   * Draw end overlay buttons (primary, optional secondary link and watch replay)
+   * @param {Object} overlay - Overlay data {primaryLabel, canReplay}
+   * @param {number} btnY - Top Y of the primary button row
+   * @returns {Object} Button bounds for click detection
+   */
+  drawEndButtons(overlay, btnY) {
+    const ctx = this.ctx;
+
     // Button dimensions
     const btnWidth = 180;
     const btnHeight = 50;
-    const btnY = by + 125;
     const btnGap = 12;
     const hasSecondary = !!this.options.secondaryButton?.url;
 
@@ -533,18 +1183,18 @@ export class Renderer {
       primaryX = (this.width - btnWidth) / 2;
     }
 
-    // Draw primary button (play again)
+    // Draw primary button (play again, next level in campaign, next player in versus)
     const btnGrad = ctx.createLinearGradient(primaryX, btnY, primaryX, btnY + btnHeight);
-    btnGrad.addColorStop(0, COLORS.BRAND_PRIMARY);
-    btnGrad.addColorStop(1, '#c4006a');
+    btnGrad.addColorStop(0, this.theme.colors.brand);
+    btnGrad.addColorStop(1, this.theme.colors.brandDark);
     ctx.fillStyle = btnGrad;
     roundedRectPath(ctx, primaryX, btnY, btnWidth, btnHeight, 10);
     ctx.fill();
 
     // Primary button text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '700 18px system-ui, -apple-system, Segoe UI, Roboto, Arial';
-    ctx.fillText('Hrát znovu', primaryX + btnWidth / 2, btnY + 32);
+    ctx.fillStyle = this.theme.colors.buttonText;
+    ctx.font = this.font(700, 18);
+    ctx.fillText(overlay.primaryLabel || this.i18n.t('end.playAgain'), primaryX + btnWidth / 2, btnY + 32);
 
     // Build return object
     const bounds = {
@@ -553,20 +1203,186 @@ export class Renderer {
 
     // Draw secondary button if configured
     if (hasSecondary) {
-      ctx.fillStyle = 'rgb(65, 55, 50)';
+      ctx.fillStyle = this.theme.colors.secondaryButton;
       roundedRectPath(ctx, secondaryX, btnY, btnWidth, btnHeight, 10);
       ctx.fill();
 
       // Secondary button text
-      const secondaryText = this.options.secondaryButton.text || 'Zpět';
-      ctx.fillStyle = '#ffffff';
+      const secondaryText = this.options.secondaryButton.text || this.i18n.t('end.back');
+      ctx.fillStyle = this.theme.colors.buttonText;
       ctx.fillText(secondaryText, secondaryX + btnWidth / 2, btnY + 32);
 
       bounds.secondaryButton = { x: secondaryX, y: btnY, width: btnWidth, height: btnHeight };
     }
 
+    // Draw watch replay button (outlined, below main buttons)
+    if (overlay.canReplay) {
+      const replayWidth = 200;
+      const replayHeight = 34;
+      const replayX = (this.width - replayWidth) / 2;
+      const replayY = btnY + btnHeight + 16;
+
+      ctx.strokeStyle = this.theme.colors.brand;
+      ctx.lineWidth = 2;
+      roundedRectPath(ctx, replayX, replayY, replayWidth, replayHeight, 17);
+      ctx.stroke();
+
+      ctx.fillStyle = this.theme.colors.brand;
+      ctx.font = this.font(700, 15);
+      ctx.fillText(this.i18n.t('end.watchReplay'), this.width / 2, replayY + 22);
+
+      bounds.replayButton = { x: replayX, y: replayY, width: replayWidth, height: replayHeight };
+    }
+
+    return bounds;
+  }
+
+  /**
+   * Draw versus result overlay - both players' scores side by side, winner highlighted
+   * @param {Object} overlay - Overlay data {title, scores, winner, primaryLabel, canReplay}
+   * @returns {Object} Button bounds for click detection
+   */
+  drawVersusOverlay(overlay) {
+    const ctx = this.ctx;
+    const bw = 560;
+    const bh = overlay.canReplay ? 310 : 260;
+    const bx = (this.width - bw) / 2;
+    const by = 130;
+
+    ctx.save();
+
+    // Dimmed background
+    ctx.fillStyle = this.theme.colors.endOverlay;
+    ctx.fillRect(0, 0, this.width, this.height);
+
+    // Box background
+    ctx.fillStyle = this.theme.colors.panel;
+    ctx.strokeStyle = this.theme.colors.panelBorder;
+    ctx.lineWidth = 1.5;
+    roundedRectPath(ctx, bx, by, bw, bh, 18);
+    ctx.fill();
+    ctx.stroke();
+
+    // Title (winner or draw)
+    ctx.textAlign = 'center';
+    ctx.fillStyle = overlay.winner ? this.theme.colors.record : this.theme.colors.muted;
+    ctx.font = this.font(900, 34);
+    ctx.fillText(overlay.title, this.width / 2, by + 60);
+
+    // Score columns
+    const columnWidth = 200;
+    overlay.scores.forEach((score, index) => {
+      const x = this.width / 2 + (index - (overlay.scores.length - 1) / 2) * columnWidth;
+      const isWinner = overlay.winner === index + 1;
+
+      ctx.fillStyle = this.theme.colors.muted;
+      ctx.font = this.font(700, 15);
+      ctx.fillText(this.i18n.t('versus.player', { player: index + 1 }), x, by + 100);
+
+      ctx.fillStyle = isWinner ? this.theme.colors.record : this.theme.colors.muted;
+      ctx.font = this.font(900, isWinner ? 40 : 32);
+      ctx.fillText(String(score), x, by + 145);
+    });
+
+    const bounds = this.drawEndButtons(overlay, by + 175);
+
     ctx.restore();
 
     return bounds;
   }
+
+  /**
+   * Draw replay playback controls (badge, play/pause, speed, scrub bar, close)
+   * @param {Object} replay - Replay state {recording, frame, speed, playing}
+   * @returns {Object} Button bounds for click detection
+   */
+  drawReplayControls(replay) {
+    const ctx = this.ctx;
+    const barHeight = 54;
+    const barY = this.height - barHeight;
+    const btnSize = 36;
+    const btnY = barY + (barHeight - btnSize) / 2;
+    const progress = replay.frame / Math.max(1, replay.recording.frames.length);
+
+    ctx.save();
+
+    // Replay badge (width follows the translated label)
+    const badgeLabel = this.i18n.t('replay.badge');
+    ctx.font = this.font(800, 13);
+    const badgeWidth = Math.max(104, ctx.measureText(badgeLabel).width + 44);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+    roundedRectPath(ctx, 14, 14, badgeWidth, 28, 14);
+    ctx.fill();
+    ctx.fillStyle = '#ef4444';
+    ctx.beginPath();
+    ctx.arc(30, 28, 5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'left';
+    ctx.fillText(badgeLabel, 42, 33);
+
+    // Control bar background
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(0, barY, this.width, barHeight);
+
+    // Play/pause button
+    const playButton = { x: 12, y: btnY, width: btnSize, height: btnSize };
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    roundedRectPath(ctx, playButton.x, playButton.y, btnSize, btnSize, 8);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    if (replay.playing) {
+      ctx.fillRect(playButton.x + 11, btnY + 10, 5, 16);
+      ctx.fillRect(playButton.x + 20, btnY + 10, 5, 16);
+    } else {
+      ctx.beginPath();
+      ctx.moveTo(playButton.x + 13, btnY + 9);
+      ctx.lineTo(playButton.x + 27, btnY + 18);
+      ctx.lineTo(playButton.x + 13, btnY + 27);
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    // Speed toggle button (1x / 2x)
+    const speedButton = { x: 56, y: btnY, width: 44, height: btnSize };
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    roundedRectPath(ctx, speedButton.x, speedButton.y, speedButton.width, btnSize, 8);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.font = this.font(800, 15);
+    ctx.textAlign = 'center';
+    ctx.fillText(`${replay.speed}×`, speedButton.x + speedButton.width / 2, btnY + 23);
+
+    // Close button
+    const closeButton = { x: this.width - 12 - btnSize, y: btnY, width: btnSize, height: btnSize };
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    roundedRectPath(ctx, closeButton.x, closeButton.y, btnSize, btnSize, 8);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText('✕', closeButton.x + btnSize / 2, btnY + 24);
+
+    // Scrub bar (track, progress fill, knob)
+    const scrubX = speedButton.x + speedButton.width + 16;
+    const scrubWidth = closeButton.x - 16 - scrubX;
+    const trackY = barY + barHeight / 2 - 3;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.25)';
+    roundedRectPath(ctx, scrubX, trackY, scrubWidth, 6, 3);
+    ctx.fill();
+    ctx.fillStyle = this.theme.colors.brand;
+    roundedRectPath(ctx, scrubX, trackY, Math.max(6, scrubWidth * progress), 6, 3);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(scrubX + scrubWidth * progress, trackY + 3, 8, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+
+    return {
+      replayPlayButton: playButton,
+      replaySpeedButton: speedButton,
+      replayCloseButton: closeButton,
+      replayScrubBar: { x: scrubX, y: btnY, width: scrubWidth, height: btnSize }
+    };
+  }
 }
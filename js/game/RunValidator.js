@@ -0,0 +1,123 @@
+/**
+ * Run validator - plausibility checks for a finished run before its score is submitted
+ * Rejects runs that are physically impossible under the game rules (e.g. more catches
+ * than pucks that could have spawned in the run duration). Also usable server-side.
+ */
+
+import { GAME, TIME_ATTACK } from '../utils/constants.js';
+import { resolveDifficulty } from './Difficulty.js';
+import { MAX_PUCK_POINTS, MAX_PUCKS_PER_SPAWN } from '../entities/PuckTypes.js';
+import { getComboMultiplier, GameMode } from './State.js';
+
+/**
+ * Upper bound of pucks that can spawn within a run duration
+ * Follows the spawn interval ramp of the difficulty (initialSpawnInterval down to minSpawnInterval)
+ * with the shortest possible jittered interval
+ * @param {number} durationMs - Run duration in milliseconds
+ * @param {string|Object} difficulty - Difficulty preset name or settings (default: normal)
+ * @returns {number} Maximum spawn count
+ */
+export function maxSpawnCount(durationMs, difficulty) {
+  const { initialSpawnInterval, minSpawnInterval, spawnIntervalDecrease } = resolveDifficulty(difficulty);
+  const jitterMin = 1 - GAME.SPAWN_JITTER;
+  let interval = initialSpawnInterval;
+  let remaining = durationMs;
+  let count = 0;
+
+  while (remaining > 0) {
+    const span = Math.min(remaining, GAME.DIFFICULTY_RAMP_INTERVAL);
+    // +1 per span: a spawn may straddle the ramp boundary
+    count += Math.floor(span / (interval * jitterMin)) + 1;
+    remaining -= span;
+    interval = Math.max(minSpawnInterval, interval - spawnIntervalDecrease);
+  }
+
+  return count;
+}
+
+/**
+ * Upper bound of score for a number of catches
+ * Assumes every catch is the most valuable puck type and extends one unbroken streak
+ * @param {number} catchCount - Number of catches
+ * @returns {number} Maximum score
+ */
+export function maxScore(catchCount) {
+  let score = 0;
+  for (let streak = 1; streak <= catchCount; streak++) {
+    score += MAX_PUCK_POINTS * getComboMultiplier(streak);
+  }
+  return score;
+}
+
+/**
+ * Check if a finished run is plausible
+ * @param {Object} run - Run summary
+ * @param {number} run.score - Final score
+ * @param {number} run.duration - Run duration in milliseconds
+ * @param {number} run.frames - Number of simulated frames
+ * @param {number} run.spawned - Number of spawned pucks (optional)
+ * @param {number[]} run.catches - Catch timestamps in milliseconds since run start
+ * @param {number} run.longestStreak - Longest catch streak (optional)
+ * @param {string|Object} run.difficulty - Difficulty preset name or settings (default: normal)
+ * @param {string} run.mode - Game mode (default: classic)
+ * @param {Object} run.level - Scripted level of a campaign run (optional, see Waves.js)
+ * @returns {Object} Result {valid, reason}
+ */
+export function validateRun(run) {
+  const { score, duration, frames, spawned, catches, longestStreak, difficulty, mode, level } = run;
+  const timeAttack = mode === GameMode.TIME_ATTACK;
+  const invalid = (reason) => ({ valid: false, reason });
+
+  if (!Number.isInteger(score) || score < 0) {
+    return invalid('invalid score');
+  }
+  if (!Number.isInteger(frames) || frames < 1 || !(duration >= 0)) {
+    return invalid('invalid duration');
+  }
+
+  // Each frame advances the simulation by at most MAX_FRAME_TIME
+  if (duration > frames * GAME.MAX_FRAME_TIME) {
+    return invalid('duration exceeds frame count');
+  }
+
+  // Catch timestamps must be ordered and within the run
+  if (!Array.isArray(catches)) {
+    return invalid('missing catches');
+  }
+  for (let i = 0; i < catches.length; i++) {
+    if (!(catches[i] >= 0 && catches[i] <= duration) || (i > 0 && catches[i] < catches[i - 1])) {
+      return invalid('invalid catch timestamp');
+    }
+  }
+
+  // Time attack runs end on the clock - only extra time power-ups (each one a catch) extend it
+  // (the last frame may overshoot the clock by up to MAX_FRAME_TIME)
+  if (timeAttack &&
+      duration > TIME_ATTACK.DURATION + catches.length * TIME_ATTACK.EXTRA_TIME + GAME.MAX_FRAME_TIME) {
+    return invalid('duration exceeds time limit');
+  }
+
+  // Every catch needs a puck, and only so many pucks can spawn in the run duration (or the level script)
+  if (spawned !== undefined && catches.length > spawned) {
+    return invalid('more catches than spawned pucks');
+  }
+  const spawnLimit = level ? level.spawns.length : maxSpawnCount(duration, difficulty);
+  if (catches.length > spawnLimit * MAX_PUCKS_PER_SPAWN) {
+    return invalid('more catches than possible in run duration');
+  }
+
+  // A streak can't be longer than the run's catches
+  if (longestStreak !== undefined &&
+      (!Number.isInteger(longestStreak) || longestStreak < 0 || longestStreak > catches.length)) {
+    return invalid('invalid streak');
+  }
+
+  // At least one point per catch (time attack penalties may take them back),
+  // at most the most valuable puck type at the highest reachable multiplier
+  const minScore = timeAttack ? 0 : catches.length;
+  if (score < minScore || score > maxScore(catches.length)) {
+    return invalid('score does not match catches');
+  }
+
+  return { valid: true, reason: null };
+}
@@ -0,0 +1,407 @@
+/**
+ * Simulation - DOM-free game core
+ * Owns everything that decides the outcome of a run (state, goalie, goal, pucks, physics).
+ * Has no canvas, DOM, timer or window dependencies, so it runs in Node as well
+ * (used for server-side score verification by replaying a submitted input log).
+ */
+
+import { GAME, GOAL, PUCK, POWERUP } from '../utils/constants.js';
+import { GameState } from './State.js';
+import { Goalie } from '../entities/Goalie.js';
+import { Goal } from '../entities/Goal.js';
+import { Puck } from '../entities/Puck.js';
+import { checkGoalieCatch, checkGoalieDeflect, checkPostHit, checkPuckInGoal, applyMagnet } from './Physics.js';
+import { PowerUpSystem, PowerUpType, POWER_UP_TYPES } from './PowerUps.js';
+import { PuckType, pickPuckType, getDifficultyLevel } from '../entities/PuckTypes.js';
+import { WaveRunner } from './Waves.js';
+import { Random } from '../utils/random.js';
+
+// Duration of one 60fps frame in milliseconds (delta = elapsedMs / FRAME_TIME_MS)
+export const FRAME_TIME_MS = 1000 / 60;
+
+/**
+ * Simulation event types returned from step()
+ */
+export const SimulationEvent = {
+  CATCH: 'catch',          // + puckType, points (awarded), streak, multiplier
+  GOAL: 'goal',             // + penalty (points subtracted in time attack)
+  POWER_UP: 'powerUp',      // + powerUp (type)
+  DUMMY_CATCH: 'dummyCatch', // caught a dummy puck - costs a life (+ penalty in time attack)
+  TIME_UP: 'timeUp',        // time attack clock ran out
+  LEVEL_CLEARED: 'levelCleared', // every wave of a scripted level spawned and the field is empty
+  DIVE: 'dive',             // goalie started a dive (+ direction: -1 left, 1 right, 0 in place)
+  POST_HIT: 'postHit',      // puck rang off a goal post (x, y = contact point)
+  DEFLECT: 'deflect'        // goalie only grazed a puck - it bounced back out as a rebound
+};
+
+/**
+ * Derive RNG seed for special pucks (puck types, power-ups) from the run seed
+ * Special pucks use their own generator so the base puck sequence of a seed stays the same
+ * @param {number} seed - Run seed
+ * @returns {number} 32-bit unsigned integer seed
+ */
+function specialSeed(seed) {
+  return (seed ^ 0x9E3779B9) >>> 0;
+}
+
+export class Simulation {
+  /**
+   * Create simulation
+   * @param {Object} options - Simulation options
+   * @param {string} options.mode - Game mode ('classic', 'daily', 'timeAttack', 'campaign' or 'versus', default: classic)
+   * @param {number} options.seed - Fixed RNG seed (optional)
+   * @param {string|Object} options.difficulty - Difficulty preset name or custom settings (default: normal)
+   * @param {Object} options.level - Scripted level (see Waves.js) - spawns come from its waves (optional)
+   */
+  constructor(options = {}) {
+    this.state = new GameState({ mode: options.mode, seed: options.seed, difficulty: options.difficulty });
+    this.goalie = new Goalie();
+    this.goal = new Goal();
+    this.pucks = [];
+    this.powerUps = new PowerUpSystem();
+    this.specialRng = new Random(specialSeed(this.state.seed));
+
+    // Set when the last life is lost (or time attack clock runs out) - no further steps are simulated
+    this.isOver = false;
+
+    // Practice settings {speed} or null for a ranked run (kept across resets)
+    this.practice = null;
+
+    // Scripted level and its wave runner (null for endless runs with random spawns)
+    this.level = null;
+    this.waves = null;
+    this.levelCleared = false;
+    if (options.level) {
+      this.setLevel(options.level);
+    }
+
+    this.resetRunStats();
+  }
+
+  /**
+   * Set scripted level (resets the simulation)
+   * @param {Object|null} level - Parsed level (see parseLevel) or null for endless runs
+   */
+  setLevel(level) {
+    this.level = level;
+    this.waves = level ? new WaveRunner(level) : null;
+    this.state.setInitialLives(level ? level.lives : GAME.INITIAL_LIVES);
+    this.reset(this.state.seed);
+  }
+
+  /**
+   * Reset run statistics (sent with score submission for plausibility checks)
+   */
+  resetRunStats() {
+    this.stepCount = 0;
+    this.elapsedMs = 0;
+    this.spawnCount = 0;
+    this.catchTimes = [];
+  }
+
+  /**
+   * Reset simulation for a new run
+   * Note: state keeps its bestScore (see GameState.reset)
+   * @param {number} seed - RNG seed (optional, e.g. when replaying a recorded run)
+   */
+  reset(seed) {
+    this.state.reset(seed);
+    this.goalie.reset();
+    this.goal.reset();
+    this.pucks = [];
+    this.powerUps.reset();
+    this.specialRng = new Random(specialSeed(this.state.seed));
+    if (this.waves) {
+      this.waves.reset();
+    }
+    this.isOver = false;
+    this.levelCleared = false;
+    this.resetRunStats();
+  }
+
+  /**
+   * Spawn a random puck (endless runs)
+   */
+  spawnRandom() {
+    // Calculate difficulty factor for horizontal movement (0-1)
+    // Starts after HORIZONTAL_START_DELAY frames and ramps up over time
+    const framesAfterDelay = Math.max(0, this.state.frameCount - PUCK.HORIZONTAL_START_DELAY);
+    const difficultyFactor = Math.min(1, framesAfterDelay / 600); // Full difficulty after ~10 sec
+    const { difficulty } = this.state;
+    const puck = new Puck(this.state.speedBase, difficultyFactor, this.state.rng, difficulty.horizontalMax);
+    puck.setType(pickPuckType(this.specialRng, getDifficultyLevel(this.state.speedBase, difficulty)), this.specialRng);
+    if (puck.type === PuckType.STANDARD && this.elapsedMs >= POWERUP.START_DELAY &&
+        this.specialRng.chance(POWERUP.SPAWN_CHANCE)) {
+      puck.makePowerUp(this.specialRng.pick(POWER_UP_TYPES));
+    }
+    this.pucks.push(puck);
+    this.spawnCount++;
+  }
+
+  /**
+   * Spawn pucks of the level waves that are due (scripted levels)
+   * @param {number} elapsedMs - Elapsed time in milliseconds
+   */
+  spawnScripted(elapsedMs) {
+    for (const spawn of this.waves.update(elapsedMs)) {
+      const puck = Puck.fromSpawn(spawn, this.state.difficulty.horizontalMax);
+      puck.setType(spawn.type, this.specialRng);
+      if (spawn.powerUp) {
+        puck.makePowerUp(spawn.powerUp);
+      }
+      this.pucks.push(puck);
+      this.spawnCount++;
+    }
+  }
+
+  /**
+   * Set practice settings (takes effect immediately, kept across resets)
+   * Practice runs have unlimited lives and may slow pucks down
+   * @param {Object|null} practice - Practice settings {speed} or null for a ranked run
+   */
+  setPractice(practice) {
+    this.practice = practice;
+  }
+
+  /**
+   * Concede a goal - goal flash and the cost of a mistake (see penalize())
+   * @returns {Object} Result {gameOver, penalty}
+   */
+  concede() {
+    this.goal.triggerGoal();
+    return this.penalize();
+  }
+
+  /**
+   * Apply the cost of a mistake (conceded goal or caught dummy) - breaks the streak and
+   * costs a life, or points in time attack (where the run ends on the clock instead)
+   * Practice runs never lose lives
+   * @returns {Object} Result {gameOver, penalty}
+   */
+  penalize() {
+    this.state.resetStreak();
+
+    if (this.state.isTimeAttack) {
+      return { gameOver: false, penalty: this.state.applyGoalPenalty() };
+    }
+    if (this.practice) {
+      return { gameOver: false, penalty: 0 };
+    }
+
+    const gameOver = this.state.decrementLives();
+    if (gameOver) {
+      // Finish after all pucks processed to capture final score
+      this.isOver = true;
+    }
+    return { gameOver, penalty: 0 };
+  }
+
+  /**
+   * Move pucks by one sub-step and resolve their collisions
+   * Catches and goals are swept along the path of the sub-step (see Physics.js)
+   * @param {number} puckDelta - Puck time multiplier (slow motion and practice speed applied)
+   * @param {number} delta - Time multiplier of the sub-step (magnet pull)
+   * @param {Object[]} events - Events of the frame (appended)
+   * @param {Puck[]} halves - Splitter halves joining the field after the frame (appended)
+   */
+  stepPucks(puckDelta, delta, events, halves) {
+    const magnet = this.powerUps.isActive(PowerUpType.MAGNET);
+    for (const puck of this.pucks) {
+      // Skip already caught/scored pucks (removed at the end of the frame)
+      if (puck.markedForRemoval) continue;
+
+      puck.update(puckDelta);
+
+      // Splitter pucks break into two (halves join the field after this frame's checks)
+      if (puck.shouldSplit()) {
+        halves.push(...puck.split());
+        this.spawnCount++;
+        continue;
+      }
+
+      if (magnet) {
+        applyMagnet(puck, this.goalie, delta);
+      }
+
+      // Posts are solid - the puck ricochets and may come back into play
+      const postHit = checkPostHit(puck, this.goal);
+      if (postHit && puck.bounce(postHit.nx, postHit.ny, GOAL.POST_RESTITUTION, postHit.side)) {
+        puck.x = postHit.x + postHit.nx * puck.radius;
+        puck.y = postHit.y + postHit.ny * puck.radius;
+        events.push({ type: SimulationEvent.POST_HIT, x: postHit.x, y: postHit.y });
+        continue;
+      }
+
+      // Check for catch by goalie (before the goal - the goalie stands in front of it)
+      if (checkGoalieCatch(puck, this.goalie)) {
+        puck.catch();
+
+        // Caught a dummy - costs like a goal against
+        if (puck.config.costsLife) {
+          events.push({ type: SimulationEvent.DUMMY_CATCH, x: puck.x, y: puck.y, ...this.penalize() });
+          continue;
+        }
+
+        this.goalie.triggerCatch();
+        const points = this.state.incrementScore(puck.x, this.goalie.y - 60, puck.config.points);
+        this.catchTimes.push(this.elapsedMs);
+        events.push({
+          type: SimulationEvent.CATCH,
+          x: puck.x,
+          y: puck.y,
+          puckType: puck.type,
+          points,
+          streak: this.state.streak,
+          multiplier: this.state.multiplier
+        });
+
+        if (puck.powerUp) {
+          this.powerUps.activate(puck.powerUp, this.state);
+          events.push({ type: SimulationEvent.POWER_UP, x: puck.x, y: puck.y, powerUp: puck.powerUp });
+        }
+        continue;
+      }
+
+      // Only grazed by the goalie - a rebound that has to be covered again
+      if (checkGoalieDeflect(puck, this.goalie) && puck.deflect(puck.x < this.goalie.x ? -1 : 1)) {
+        events.push({ type: SimulationEvent.DEFLECT, x: puck.x, y: puck.y });
+        continue;
+      }
+
+      // Missed power-ups are a lost bonus and dummies are meant to be let in - not a goal against
+      if ((puck.powerUp || puck.config.costsLife) && checkPuckInGoal(puck, this.goal)) {
+        puck.markedForRemoval = true;
+        continue;
+      }
+
+      // Check if puck entered the goal (missed by goalie - counts as a goal against)
+      if (checkPuckInGoal(puck, this.goal)) {
+        puck.scored = true;
+        puck.markedForRemoval = true;
+        events.push({ type: SimulationEvent.GOAL, x: puck.x, y: puck.y, ...this.concede() });
+      }
+    }
+  }
+
+  /**
+   * Simulate a single frame
+   * @param {number} elapsedMs - Elapsed time in milliseconds
+   * @param {number} targetX - Goalie target X
+   * @param {boolean} dive - Dive requested this frame (ignored during a dive or its cooldown)
+   * @returns {Object[]} Events that happened this frame ({type, x, y, ...})
+   */
+  step(elapsedMs, targetX, dive = false) {
+    const events = [];
+    if (this.isOver) return events;
+
+    this.stepCount++;
+    this.elapsedMs += elapsedMs;
+
+    // Delta is ratio of elapsed time to target frame time (1.0 = normal 60fps frame)
+    const delta = elapsedMs / FRAME_TIME_MS;
+
+    // Update goalie position (catch zone follows the wide glove power-up)
+    this.goalie.catchWidthFactor = this.powerUps.catchWidthFactor;
+    if (dive && this.goalie.dive(targetX)) {
+      events.push({ type: SimulationEvent.DIVE, x: this.goalie.x, y: this.goalie.y, direction: this.goalie.diveDirection });
+    }
+    this.goalie.update(targetX, delta);
+
+    // Spawn new pucks - scripted waves or random spawns (uses milliseconds for timing)
+    if (this.waves) {
+      this.spawnScripted(elapsedMs);
+    } else if (this.state.shouldSpawn(elapsedMs)) {
+      this.spawnRandom();
+    }
+
+    // Update difficulty (uses milliseconds for timing, scripted levels set puck speeds themselves)
+    if (!this.waves) {
+      this.state.updateDifficulty(elapsedMs);
+    }
+
+    // Update pucks and check collisions (slow motion and practice speed scale puck movement only)
+    // Long frames are split into sub-steps so fast pucks can't skip past the goalie or the posts
+    const practiceSpeed = this.practice ? this.practice.speed : 1;
+    const puckDelta = delta * this.powerUps.speedFactor * practiceSpeed;
+    const substeps = Math.max(1, Math.ceil(puckDelta / GAME.MAX_STEP_DELTA));
+    const halves = [];
+    for (let i = 0; i < substeps; i++) {
+      this.stepPucks(puckDelta / substeps, delta / substeps, events, halves);
+    }
+
+    // Time attack ends when the clock runs out
+    if (this.state.isTimeAttack && !this.isOver && this.state.updateClock(elapsedMs)) {
+      this.isOver = true;
+      events.push({ type: SimulationEvent.TIME_UP, gameOver: true });
+    }
+
+    // Run is over - keep field as it was in the final frame
+    if (this.isOver) return events;
+
+    // Remove caught/scored pucks and off-screen pucks
+    // Note: Only pucks entering the goal count as missed (handled above)
+    // Pucks going off-screen elsewhere are simply removed without penalty
+    this.pucks = this.pucks.filter(puck => !puck.markedForRemoval && !puck.isOffScreen());
+    this.pucks.push(...halves);
+
+    // Scripted level is cleared once every wave has spawned and the field is empty
+    if (this.waves && this.waves.isFinished && this.pucks.length === 0) {
+      this.isOver = true;
+      this.levelCleared = true;
+      events.push({ type: SimulationEvent.LEVEL_CLEARED, gameOver: true });
+      return events;
+    }
+
+    // Update effects
+    this.goal.update(delta);
+    this.powerUps.update(elapsedMs);
+    this.state.updateEffects(delta);
+    this.state.tick(delta);
+
+    return events;
+  }
+
+  /**
+   * Get statistics of the current run
+   * @returns {Object} Run stats {mode, level, cleared, duration, frames, spawned, catches, longestStreak, difficulty}
+   */
+  getRunStats() {
+    return {
+      mode: this.state.mode,
+      level: this.level,
+      cleared: this.levelCleared,
+      difficulty: this.state.difficulty,
+      duration: this.elapsedMs,
+      frames: this.stepCount,
+      spawned: this.spawnCount,
+      catches: this.catchTimes.slice(),
+      longestStreak: this.state.longestStreak
+    };
+  }
+}
+
+/**
+ * Re-simulate a recorded run from its seed and input frames
+ * @param {Object} recording - Recording {seed, frames: [[elapsedMs, targetX, dive], ...], mode, difficulty, level}
+ * @returns {Object} Result {score, lives, isOver, mode, level, cleared, duration, frames, spawned, catches, longestStreak, difficulty}
+ */
+export function simulateRun(recording) {
+  const simulation = new Simulation({
+    mode: recording.mode,
+    seed: recording.seed,
+    difficulty: recording.difficulty,
+    level: recording.level
+  });
+
+  for (const [elapsedMs, targetX, dive] of recording.frames) {
+    if (simulation.isOver) break;
+    simulation.step(elapsedMs, targetX, !!dive);
+  }
+
+  return {
+    score: simulation.state.score,
+    lives: simulation.state.lives,
+    isOver: simulation.isOver,
+    ...simulation.getRunStats()
+  };
+}
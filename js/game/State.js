@@ -2,7 +2,9 @@
  * Game state management
  */
 
-import { GAME, EFFECTS } from '../utils/constants.js';
+import { GAME, EFFECTS, COMBO, TIME_ATTACK } from '../utils/constants.js';
+import { Random, randomSeed } from '../utils/random.js';
+import { resolveDifficulty } from './Difficulty.js';
 
 /**
  * Game status enum
@@ -11,36 +13,96 @@ export const GameStatus = {
   IDLE: 'idle',
   PLAYING: 'playing',
   PAUSED: 'paused',
-  ENDED: 'ended'
+  ENDED: 'ended',
+  REPLAY: 'replay'
 };
 
+/**
+ * Game mode enum
+ */
+export const GameMode = {
+  CLASSIC: 'classic',
+  DAILY: 'daily',
+  TIME_ATTACK: 'timeAttack', // clock instead of lives, conceded goals cost points
+  CAMPAIGN: 'campaign',      // scripted levels (see Waves.js)
+  VERSUS: 'versus'           // hot-seat turns on the same puck sequence, highest score wins
+};
+
+/**
+ * Get score multiplier for a catch streak
+ * @param {number} streak - Consecutive catches without conceding
+ * @returns {number} Multiplier (1 + number of COMBO.THRESHOLDS reached)
+ */
+export function getComboMultiplier(streak) {
+  return 1 + COMBO.THRESHOLDS.filter(threshold => streak >= threshold).length;
+}
+
 /**
  * Game state class - manages all game state
  */
 export class GameState {
-  constructor() {
+  /**
+   * @param {Object} options - State options
+   * @param {string} options.mode - Game mode ('classic', 'daily', 'timeAttack', 'campaign' or 'versus', default: classic)
+   * @param {number} options.seed - Fixed RNG seed, reused on every reset (optional)
+   * @param {string|Object} options.difficulty - Difficulty preset name or custom settings (default: normal)
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || GameMode.CLASSIC;
+    this.fixedSeed = options.seed ?? null;
+    this.difficulty = resolveDifficulty(options.difficulty);
+    this.initialLives = GAME.INITIAL_LIVES;
     this.reset();
   }
 
+  /**
+   * Change lives at run start (takes effect with the next reset)
+   * @param {number} lives - Initial lives (scripted levels set their own)
+   */
+  setInitialLives(lives) {
+    this.initialLives = lives;
+  }
+
+  /**
+   * Change difficulty (takes effect with the next reset)
+   * @param {string|Object} difficulty - Difficulty preset name or custom settings
+   */
+  setDifficulty(difficulty) {
+    this.difficulty = resolveDifficulty(difficulty);
+  }
+
   /**
    * Reset all state to initial values
    * Note: bestScore is preserved across resets
+   * @param {number} seed - RNG seed to use (optional, e.g. when replaying a recorded run)
    */
-  reset() {
+  reset(seed) {
     const preservedBestScore = this.bestScore || 0;
 
     this.status = GameStatus.IDLE;
     this.score = 0;
-    this.lives = GAME.INITIAL_LIVES;
+    this.lives = this.initialLives;
     this.bestScore = preservedBestScore;
     this.frameCount = 0;
 
-    // Difficulty settings (these increase over time)
-    this.spawnInterval = GAME.INITIAL_SPAWN_INTERVAL;
-    this.speedBase = GAME.INITIAL_SPEED;
+    // Time attack clock (milliseconds left, null in modes without a clock)
+    this.timeLeft = this.isTimeAttack ? TIME_ATTACK.DURATION : null;
+
+    // Combo streak (consecutive catches without conceding)
+    this.streak = 0;
+    this.longestStreak = 0;
+
+    // Difficulty settings (these increase over time, starting values come from the difficulty preset)
+    this.spawnInterval = this.difficulty.initialSpawnInterval;
+    this.speedBase = this.difficulty.initialSpeed;
 
-    // Spawn timer (accumulates delta time)
+    // Seeded RNG - a fixed seed (daily challenge) replays the same puck sequence every run
+    this.seed = seed ?? this.fixedSeed ?? randomSeed();
+    this.rng = new Random(this.seed);
+
+    // Spawn timer (accumulates delta time) and jitter factor for the next spawn
     this.spawnTimer = 0;
+    this.spawnJitter = 1;
 
     // Difficulty timer (accumulates delta time)
     this.difficultyTimer = 0;
@@ -50,6 +112,14 @@ export class GameState {
     this.catchText = null;
   }
 
+  /**
+   * Check if the run is played against the clock (unlimited lives)
+   * @returns {boolean}
+   */
+  get isTimeAttack() {
+    return this.mode === GameMode.TIME_ATTACK;
+  }
+
   /**
    * Check if game is currently running
    * @returns {boolean}
@@ -82,6 +152,14 @@ export class GameState {
     return this.status === GameStatus.IDLE;
   }
 
+  /**
+   * Check if a recorded run is being replayed
+   * @returns {boolean}
+   */
+  get isReplaying() {
+    return this.status === GameStatus.REPLAY;
+  }
+
   /**
    * Start the game
    */
@@ -128,19 +206,50 @@ export class GameState {
   }
 
   /**
-   * Increment score and trigger effects
+   * Enter replay playback (call after reset with the recorded seed)
+   */
+  startReplay() {
+    this.status = GameStatus.REPLAY;
+  }
+
+  /**
+   * Get score multiplier of the current streak
+   * @returns {number}
+   */
+  get multiplier() {
+    return getComboMultiplier(this.streak);
+  }
+
+  /**
+   * Increment score (extends the streak, points are multiplied by the combo multiplier) and trigger effects
    * @param {number} x - X position for effect
    * @param {number} y - Y position for effect
+   * @param {number} points - Points for the catch (default: 1)
+   * @returns {number} Awarded points
    */
-  incrementScore(x, y) {
-    this.score++;
+  incrementScore(x, y, points = 1) {
+    this.streak++;
+    this.longestStreak = Math.max(this.longestStreak, this.streak);
+
+    const awarded = points * this.multiplier;
+    this.score += awarded;
     this.catchFlash = 1;
     this.catchText = {
       x,
       y,
       ttl: EFFECTS.CATCH_TEXT_DURATION,
-      value: this.score
+      value: this.score,
+      streak: this.streak,
+      multiplier: this.multiplier
     };
+    return awarded;
+  }
+
+  /**
+   * Reset combo streak (conceded goal, caught dummy)
+   */
+  resetStreak() {
+    this.streak = 0;
   }
 
   /**
@@ -152,6 +261,42 @@ export class GameState {
     return this.lives <= 0;
   }
 
+  /**
+   * Increment lives (extra life power-up)
+   * @param {number} max - Lives cap
+   */
+  incrementLives(max) {
+    this.lives = Math.min(max, this.lives + 1);
+  }
+
+  /**
+   * Subtract goal penalty from score (time attack)
+   * @returns {number} Subtracted points
+   */
+  applyGoalPenalty() {
+    const penalty = Math.min(this.score, TIME_ATTACK.GOAL_PENALTY);
+    this.score -= penalty;
+    return penalty;
+  }
+
+  /**
+   * Add time to the clock (time attack)
+   * @param {number} ms - Milliseconds to add
+   */
+  addTime(ms) {
+    this.timeLeft += ms;
+  }
+
+  /**
+   * Run down the time attack clock
+   * @param {number} elapsedMs - Elapsed time in milliseconds
+   * @returns {boolean} True if time is up
+   */
+  updateClock(elapsedMs) {
+    this.timeLeft = Math.max(0, this.timeLeft - elapsedMs);
+    return this.timeLeft <= 0;
+  }
+
   /**
    * Update difficulty based on time
    * Increases spawn rate and speed over time
@@ -165,14 +310,14 @@ export class GameState {
 
       // Increase spawn rate (decrease interval)
       this.spawnInterval = Math.max(
-        GAME.MIN_SPAWN_INTERVAL,
-        this.spawnInterval - GAME.SPAWN_INTERVAL_DECREASE
+        this.difficulty.minSpawnInterval,
+        this.spawnInterval - this.difficulty.spawnIntervalDecrease
       );
 
       // Increase puck speed
       this.speedBase = Math.min(
-        GAME.MAX_SPEED,
-        this.speedBase + GAME.SPEED_INCREASE
+        this.difficulty.maxSpeed,
+        this.speedBase + this.difficulty.speedIncrease
       );
     }
   }
@@ -196,13 +341,15 @@ export class GameState {
 
   /**
    * Check if it's time to spawn a new puck (and reset timer if so)
+   * Next spawn is jittered by the seeded RNG so timing is varied but reproducible
    * @param {number} elapsedMs - Elapsed time in milliseconds
    * @returns {boolean}
    */
   shouldSpawn(elapsedMs) {
     this.spawnTimer += elapsedMs;
-    if (this.spawnTimer >= this.spawnInterval) {
+    if (this.spawnTimer >= this.spawnInterval * this.spawnJitter) {
       this.spawnTimer = 0;
+      this.spawnJitter = this.rng.range(1 - GAME.SPAWN_JITTER, 1 + GAME.SPAWN_JITTER);
       return true;
     }
     return false;
@@ -0,0 +1,194 @@
+/**
+ * Themes - brand skins for the canvas (palette, fonts, rink, goal, puck, sprites) and widget CSS
+ * Colors marked "RGB triplet" are combined with a changing opacity, e.g. '34, 197, 94'
+ */
+
+import { COLORS, GOAL } from '../utils/constants.js';
+
+// Font stack used for all canvas texts
+const SYSTEM_FONT = 'system-ui, -apple-system, Segoe UI, Roboto, Arial';
+
+/**
+ * Default innogy theme (every other theme is merged over it)
+ */
+const INNOGY_THEME = {
+  font: SYSTEM_FONT,
+  colors: {
+    brand: COLORS.BRAND_PRIMARY,        // buttons, daily label, replay progress
+    brandDark: '#c4006a',               // button gradient end
+    text: 'rgba(0, 0, 0, 0.95)',        // idle title
+    muted: COLORS.MUTED,                // subtitles, end title
+    buttonText: '#ffffff',
+    secondaryButton: 'rgb(65, 55, 50)',
+    idleOverlay: 'rgba(255, 255, 255, 0.28)',
+    endOverlay: 'rgba(255, 255, 255, 0.35)',
+    panel: 'rgba(255, 255, 255, 0.8)',  // end overlay box
+    panelBorder: 'rgba(48, 48, 48, 0.18)',
+    record: 'rgba(255, 211, 74, 0.98)', // personal record title
+    recordGlow: '255, 193, 7',          // RGB triplet
+    catchText: '0, 180, 80',            // RGB triplet
+    catchFlash: '34, 197, 94'           // RGB triplet
+  },
+  rink: {
+    ice: ['#f0f5fa', '#e8f0f8', '#e0eaf5'], // top, middle, bottom gradient
+    crease: 'rgba(37, 90, 214, 0.6)',
+    lines: '#c81e1e'
+  },
+  goal: {
+    net: 'rgba(255, 255, 255, 0.4)',
+    mesh: 'rgba(180, 180, 180, 0.5)',
+    posts: GOAL.POST_COLOR,
+    flash: '239, 68, 68',               // RGB triplet
+    ping: '250, 204, 21'                // RGB triplet - ring around post hits and deflections
+  },
+  puck: {
+    body: ['#3a3a3a', '#1a1a1a', '#0a0a0a', '#000000'], // top to bottom gradient
+    rim: 'rgba(60, 60, 60, 0.8)'
+  },
+  // Special puck looks by type (see PuckType)
+  puckTypes: {
+    golden: ['#fff1a8', '#ffd54a', '#f5b700', '#b07d00'], // top to bottom gradient
+    curving: '#0ea5e9',   // swirl stripe
+    splitter: '#f97316',  // crack line
+    dummy: '#ef4444'      // warning cross
+  },
+  // Power-up puck, HUD chip and effect colors by type (see PowerUpType)
+  powerUps: {
+    extraLife: '#e11d48',
+    wideGlove: '#2563eb',
+    slowMotion: '#0891b2',
+    magnet: '#7c3aed'
+  },
+  // Practice mode hitbox hints
+  hitbox: {
+    catchZone: '#16a34a', // goalie catch zone
+    goal: '#dc2626',      // goal opening
+    puck: '#f59e0b'       // puck centers (a puck counts where its center is)
+  },
+  confetti: ['#0085C7', '#000000', '#DF0024', '#F4C300', '#009F3D', COLORS.BRAND_PRIMARY],
+  confettiGold: ['#FFD54A', '#FFC107', '#FFB300', '#FFEE58', '#F9A825'],
+  assets: {
+    // Relative to assetsUrl unless absolute (http(s)://, data:, /)
+    goalie: 'assets/goalie-2.svg',
+    goalieDive: null, // optional dive sprite - without one the goalie sprite leans into the dive
+    logo: 'assets/innogy-logo-simple-white.svg'
+  },
+  // CSS custom properties set on the widget container (see css/styles.css)
+  css: {}
+};
+
+/**
+ * Built-in themes by name
+ */
+export const THEMES = {
+  innogy: INNOGY_THEME,
+
+  dark: {
+    colors: {
+      text: 'rgba(255, 255, 255, 0.95)',
+      muted: '#e6e6e6',
+      secondaryButton: 'rgb(70, 78, 90)',
+      idleOverlay: 'rgba(0, 0, 0, 0.35)',
+      endOverlay: 'rgba(0, 0, 0, 0.45)',
+      panel: 'rgba(20, 26, 34, 0.88)',
+      panelBorder: 'rgba(255, 255, 255, 0.18)'
+    },
+    rink: {
+      ice: ['#1b2430', '#17202b', '#121a24'],
+      crease: 'rgba(60, 110, 230, 0.45)',
+      lines: '#e04848'
+    },
+    goal: {
+      net: 'rgba(255, 255, 255, 0.12)',
+      mesh: 'rgba(200, 200, 200, 0.25)',
+      posts: '#e04848'
+    },
+    puck: {
+      // Lighter body so pucks stay visible on dark ice
+      body: ['#6a6a6a', '#4a4a4a', '#333333', '#222222'],
+      rim: 'rgba(210, 210, 210, 0.8)'
+    },
+    css: {
+      '--minigame-text': '#f2f2f2',
+      '--minigame-text-muted': '#cfcfcf',
+      '--minigame-glass-bg': 'rgba(20, 26, 34, 0.75)',
+      '--minigame-glass-border': 'rgba(255, 255, 255, 0.12)'
+    }
+  },
+
+  'high-contrast': {
+    colors: {
+      brand: '#b0005f',
+      brandDark: '#80004a',
+      text: '#000000',
+      muted: '#000000',
+      secondaryButton: '#000000',
+      idleOverlay: 'rgba(255, 255, 255, 0.6)',
+      endOverlay: 'rgba(255, 255, 255, 0.7)',
+      panel: '#ffffff',
+      panelBorder: '#000000',
+      record: '#8a5a00',
+      catchText: '0, 110, 40'
+    },
+    rink: {
+      ice: ['#ffffff', '#ffffff', '#ffffff'],
+      crease: 'rgba(0, 60, 200, 0.8)',
+      lines: '#b00000'
+    },
+    goal: {
+      net: 'rgba(255, 255, 255, 0.6)',
+      mesh: 'rgba(0, 0, 0, 0.6)',
+      posts: '#b00000',
+      ping: '0, 0, 0'
+    },
+    puck: {
+      body: ['#000000', '#000000', '#000000', '#000000'],
+      rim: '#000000'
+    },
+    css: {
+      '--minigame-brand': '#b0005f',
+      '--minigame-text': '#000000',
+      '--minigame-text-muted': '#000000',
+      '--minigame-glass-bg': '#ffffff',
+      '--minigame-glass-border': '#000000'
+    }
+  }
+};
+
+// Theme sections merged key by key (others like font, confetti are replaced as a whole)
+const MERGED_SECTIONS = ['colors', 'rink', 'goal', 'puck', 'puckTypes', 'powerUps', 'hitbox', 'assets', 'css'];
+
+/**
+ * Merge theme over a base theme (section by section)
+ * @param {Object} base - Complete base theme
+ * @param {Object} theme - Partial theme
+ * @returns {Object} Complete theme
+ */
+function mergeTheme(base, theme) {
+  const merged = { ...base, ...theme };
+  for (const section of MERGED_SECTIONS) {
+    merged[section] = { ...base[section], ...theme[section] };
+  }
+  return merged;
+}
+
+/**
+ * Resolve theme option into a complete theme
+ * @param {string|Object} theme - Built-in theme name, or partial theme object
+ *   (optionally with `extends: '<name>'`, default: innogy)
+ * @returns {Object} Complete theme
+ */
+export function resolveTheme(theme) {
+  if (!theme) return INNOGY_THEME;
+
+  if (typeof theme === 'string') {
+    if (!THEMES[theme]) {
+      console.warn(`InnogyGame: Unknown theme "${theme}", using "innogy"`);
+      return INNOGY_THEME;
+    }
+    return mergeTheme(INNOGY_THEME, THEMES[theme]);
+  }
+
+  const base = resolveTheme(theme.extends);
+  return mergeTheme(base, theme);
+}
@@ -0,0 +1,244 @@
+/**
+ * Waves - scripted levels made of timed spawn events, authored as JSON (no JavaScript needed)
+ * The campaign lives in assets/levels/campaign.json. Parsing and the wave runner are DOM-free,
+ * so the server re-simulates level runs the same way as endless runs.
+ *
+ * Campaign format (times in ms from level start, positions as fraction 0-1 of the canvas):
+ * {
+ *   "version": 1,
+ *   "levels": [{
+ *     "id": "warm-up",                        // unique, used for the level leaderboard
+ *     "name": { "cs": "Rozcvička", "en": "Warm-up" }, // plain string or name by language
+ *     "lives": 3,                             // default GAME.INITIAL_LIVES
+ *     "speed": 6,                             // default puck speed (px per frame at 60fps)
+ *     "stars": [10, 15, 20],                  // scores for 1, 2, 3 stars (optional)
+ *     "spawns": [
+ *       { "at": 500, "x": 0.5 },              // from the top, aimed at the goal
+ *       { "at": 1200, "x": 0.2, "angle": 10, "speed": 8, "type": "golden" },
+ *       { "at": 2000, "x": 0, "y": 0.2, "powerUp": "magnet" },
+ *       { "at": 3000, "x": 0.3, "burst": { "count": 4, "interval": 150, "dx": 0.1, "dAngle": -5 } }
+ *     ]
+ *   }]
+ * }
+ *
+ * Spawn fields: `x` (default 0.5), `y` (default above the top edge), `angle` in degrees from
+ * straight down, positive to the right (default: aimed at the goal center), `speed`, `type`
+ * (see PuckType), `powerUp` (see PowerUpType) and `burst` - `count` pucks `interval` ms apart,
+ * each shifted by `dx` (fraction of width) and `dAngle` (degrees) from the previous one.
+ */
+
+import { CANVAS, GAME, PUCK } from '../utils/constants.js';
+import { PuckType, PUCK_TYPES } from '../entities/PuckTypes.js';
+import { POWER_UP_TYPES } from './PowerUps.js';
+
+// Campaign file, relative to the assets base URL
+export const DEFAULT_CAMPAIGN_PATH = 'assets/levels/campaign.json';
+
+// Campaign format version (bump when the format changes)
+const CAMPAIGN_VERSION = 1;
+
+/**
+ * Read a number field, warning about invalid values
+ * @param {*} value - Field value from JSON
+ * @param {number} fallback - Value when the field is missing or invalid
+ * @param {string} where - Field location for the warning
+ * @param {Function} isValid - Extra check of a finite number
+ * @returns {number}
+ */
+function readNumber(value, fallback, where, isValid = () => true) {
+  if (value === undefined) return fallback;
+  if (Number.isFinite(value) && isValid(value)) return value;
+  console.warn(`InnogyGame: Invalid ${where}=${JSON.stringify(value)}, using ${fallback ?? 'default'}`);
+  return fallback;
+}
+
+/**
+ * Parse a single spawn event into one or more pucks (bursts are expanded)
+ * @param {Object} spawn - Spawn event from JSON
+ * @param {number} speed - Level default speed
+ * @param {string} where - Spawn location for warnings
+ * @returns {Object[]} Spawns {at, x, y, angle, speed, type, powerUp} (px, radians)
+ */
+function parseSpawn(spawn, speed, where) {
+  const { at } = spawn;
+  if (!Number.isFinite(at) || at < 0) {
+    console.warn(`InnogyGame: ${where} needs an "at" time in ms, skipped`);
+    return [];
+  }
+
+  let type = spawn.type || PuckType.STANDARD;
+  if (!PUCK_TYPES[type]) {
+    console.warn(`InnogyGame: Unknown puck type ${where}.type="${type}", using "${PuckType.STANDARD}"`);
+    type = PuckType.STANDARD;
+  }
+  let powerUp = spawn.powerUp || null;
+  if (powerUp && !POWER_UP_TYPES.includes(powerUp)) {
+    console.warn(`InnogyGame: Unknown power-up ${where}.powerUp="${powerUp}", ignored`);
+    powerUp = null;
+  }
+
+  const fraction = value => value >= 0 && value <= 1;
+  const base = {
+    x: readNumber(spawn.x, 0.5, `${where}.x`, fraction),
+    y: readNumber(spawn.y, null, `${where}.y`, fraction),
+    angle: readNumber(spawn.angle, null, `${where}.angle`, value => Math.abs(value) < 90),
+    speed: readNumber(spawn.speed, speed, `${where}.speed`, value => value > 0)
+  };
+
+  const burst = spawn.burst || {};
+  const count = readNumber(burst.count, 1, `${where}.burst.count`, value => Number.isInteger(value) && value >= 1);
+  const interval = readNumber(burst.interval, 0, `${where}.burst.interval`, value => value >= 0);
+  const dx = readNumber(burst.dx, 0, `${where}.burst.dx`);
+  const dAngle = readNumber(burst.dAngle, 0, `${where}.burst.dAngle`);
+
+  const pucks = [];
+  for (let i = 0; i < count; i++) {
+    // Burst pucks keep inside the canvas and below horizontal
+    const x = Math.min(1, Math.max(0, base.x + dx * i));
+    const angle = base.angle === null && dAngle === 0
+      ? null
+      : Math.min(80, Math.max(-80, (base.angle ?? 0) + dAngle * i));
+
+    pucks.push({
+      at: at + interval * i,
+      x: x * CANVAS.WIDTH,
+      y: base.y === null ? PUCK.SPAWN_Y : base.y * CANVAS.HEIGHT,
+      angle: angle === null ? null : angle * Math.PI / 180,
+      speed: base.speed,
+      type,
+      powerUp
+    });
+  }
+  return pucks;
+}
+
+/**
+ * Parse a level definition
+ * @param {Object} level - Level from JSON
+ * @param {number} index - Level index (for warnings)
+ * @returns {Object|null} Level {id, name, lives, stars, spawns} or null if unusable
+ */
+export function parseLevel(level, index) {
+  const id = level && typeof level.id === 'string' && level.id ? level.id : null;
+  if (!id || !Array.isArray(level.spawns)) {
+    console.warn(`InnogyGame: Level #${index + 1} needs an "id" and a "spawns" array, skipped`);
+    return null;
+  }
+
+  const where = `level "${id}"`;
+  const speed = readNumber(level.speed, GAME.INITIAL_SPEED, `${where}.speed`, value => value > 0);
+  const spawns = level.spawns
+    .flatMap((spawn, i) => parseSpawn(spawn || {}, speed, `${where}.spawns[${i}]`))
+    .sort((a, b) => a.at - b.at);
+
+  if (spawns.length === 0) {
+    console.warn(`InnogyGame: ${where} has no valid spawns, skipped`);
+    return null;
+  }
+
+  let stars = Array.isArray(level.stars) ? level.stars : [];
+  if (!stars.every((score, i) => Number.isInteger(score) && score > 0 && (i === 0 || score > stars[i - 1]))) {
+    console.warn(`InnogyGame: Invalid ${where}.stars (ascending positive scores expected), ignored`);
+    stars = [];
+  }
+
+  return {
+    id,
+    name: level.name || id,
+    lives: readNumber(level.lives, GAME.INITIAL_LIVES, `${where}.lives`, value => Number.isInteger(value) && value >= 1),
+    stars,
+    spawns
+  };
+}
+
+/**
+ * Parse a campaign file (invalid levels are skipped with a warning)
+ * @param {Object|Object[]} data - Campaign {version, levels} or a plain array of levels
+ * @returns {Object[]} Levels ready for the simulation
+ */
+export function parseCampaign(data) {
+  const levels = Array.isArray(data) ? data : data && data.levels;
+  if (!Array.isArray(levels)) {
+    throw new Error('Campaign needs a "levels" array');
+  }
+  if (!Array.isArray(data) && data.version !== undefined && data.version !== CAMPAIGN_VERSION) {
+    console.warn(`InnogyGame: Campaign version ${data.version} is not supported (expected ${CAMPAIGN_VERSION})`);
+  }
+
+  const parsed = levels.map(parseLevel).filter(Boolean);
+  const ids = new Set();
+  return parsed.filter(level => {
+    if (ids.has(level.id)) {
+      console.warn(`InnogyGame: Duplicate level id "${level.id}", skipped`);
+      return false;
+    }
+    ids.add(level.id);
+    return true;
+  });
+}
+
+/**
+ * Get level name in a language
+ * @param {Object} level - Parsed level
+ * @param {string} language - Language code
+ * @returns {string} Name (falls back to Czech, then any language, then the id)
+ */
+export function getLevelName(level, language) {
+  if (typeof level.name === 'string') return level.name;
+  return level.name[language] || level.name.cs || Object.values(level.name)[0] || level.id;
+}
+
+/**
+ * Get stars earned for a level score
+ * @param {Object} level - Parsed level
+ * @param {number} score - Level score
+ * @returns {number} Number of reached star thresholds
+ */
+export function getStars(level, score) {
+  return level.stars.filter(threshold => score >= threshold).length;
+}
+
+/**
+ * Wave runner - releases the spawns of a level as the level time passes
+ */
+export class WaveRunner {
+  /**
+   * @param {Object} level - Parsed level (see parseLevel)
+   */
+  constructor(level) {
+    this.level = level;
+    this.reset();
+  }
+
+  /**
+   * Rewind to the level start
+   */
+  reset() {
+    this.elapsedMs = 0;
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Advance level time
+   * @param {number} elapsedMs - Elapsed time in milliseconds
+   * @returns {Object[]} Spawns due this frame
+   */
+  update(elapsedMs) {
+    this.elapsedMs += elapsedMs;
+
+    const due = [];
+    const { spawns } = this.level;
+    while (this.nextIndex < spawns.length && spawns[this.nextIndex].at <= this.elapsedMs) {
+      due.push(spawns[this.nextIndex++]);
+    }
+    return due;
+  }
+
+  /**
+   * Check if every spawn of the level was released
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return this.nextIndex >= this.level.spawns.length;
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Localization - message catalogs, plural rules and locale-aware date formatting
+ */
+
+import { formatDateOnly, formatTimeOnly } from '../utils/helpers.js';
+import { cs } from './cs.js';
+import { en } from './en.js';
+import { de } from './de.js';
+
+// Default locale (also the fallback for messages missing in other catalogs)
+export const DEFAULT_LOCALE = 'cs';
+
+// Message catalogs by language
+export const LOCALES = { cs, en, de };
+
+// Region used for number/date formatting when only a language is given
+const DEFAULT_REGIONS = {
+  cs: 'cs-CZ',
+  en: 'en-GB',
+  de: 'de-DE'
+};
+
+export class I18n {
+  /**
+   * Create translator
+   * @param {string} locale - Locale, e.g. 'cs', 'en', 'de' or 'en-US' (default: cs)
+   * @param {Object} messages - Message overrides by key, e.g. { 'end.title': 'Game Over!' } (optional)
+   */
+  constructor(locale = DEFAULT_LOCALE, messages = {}) {
+    const tag = String(locale || DEFAULT_LOCALE);
+    const language = tag.split('-')[0].toLowerCase();
+
+    this.language = LOCALES[language] ? language : DEFAULT_LOCALE;
+    if (this.language !== language) {
+      console.warn(`InnogyGame: Unknown locale "${locale}", using "${DEFAULT_LOCALE}"`);
+    }
+
+    // Full tag (with region) is used for plural rules and date formatting
+    this.locale = this.language === language && tag.includes('-')
+      ? tag
+      : DEFAULT_REGIONS[this.language];
+    this.messages = { ...LOCALES[DEFAULT_LOCALE], ...LOCALES[this.language], ...messages };
+    this.pluralRules = new Intl.PluralRules(this.locale);
+  }
+
+  /**
+   * Translate message
+   * Params replace {name} placeholders; `count` param selects the plural form
+   * @param {string} key - Message key
+   * @param {Object} params - Placeholder values (optional)
+   * @returns {string} Translated message (the key itself if unknown)
+   */
+  t(key, params = {}) {
+    let message = this.messages[key];
+    if (message === undefined) return key;
+
+    if (typeof message === 'object') {
+      const form = this.pluralRules.select(params.count ?? 0);
+      message = message[form] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+
+  /**
+   * Format timestamp date portion in the current locale
+   * @param {number} timestamp - Unix timestamp
+   * @returns {string} Formatted date string
+   */
+  formatDate(timestamp) {
+    return formatDateOnly(timestamp, this.locale);
+  }
+
+  /**
+   * Format timestamp time portion in the current locale
+   * @param {number} timestamp - Unix timestamp
+   * @returns {string} Formatted time string
+   */
+  formatTime(timestamp) {
+    return formatTimeOnly(timestamp, this.locale);
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Czech messages (default locale)
+ * Plural messages are objects keyed by Intl.PluralRules category (one, few, many, other)
+ */
+
+export const cs = {
+  'toolbar.score': 'Zákroky',
+  'toolbar.lives': 'Životy',
+  'toolbar.time': 'Čas',
+  'toolbar.best': 'Můj rekord',
+  'toolbar.streak': 'Série',
+  'toolbar.pause': 'Pauza',
+  'toolbar.resume': 'Pokračovat',
+  'toolbar.restart': 'Restart',
+  'toolbar.mute': 'Vypnout zvuk',
+  'toolbar.unmute': 'Zapnout zvuk',
+  'canvas.label': 'Herní plocha - chytej innogy puky',
+  'help.text': 'Ovládání: <strong>myší</strong> nebo <strong>šipkami ← →</strong>. <strong>Mezerník</strong> (nebo dvojí klepnutí) pro zákrok s výpadem. Klávesa <strong>P</strong> pro pauzu. Na mobilu táhni prstem do stran.',
+
+  'board.title': 'Žebříček',
+  'board.rank': '#',
+  'board.name': 'Jméno',
+  'board.score': 'Zákroky',
+  'board.date': 'Datum',
+  'board.empty': 'Zatím žádné skóre.',
+
+  'idle.title': 'Chytej puky!',
+  'idle.start': 'Začít hrát',
+  'idle.daily': 'DENNÍ VÝZVA',
+  'idle.timeAttack': 'NA ČAS',
+  'idle.level': 'ÚROVEŇ {number}/{total}: {name}',
+  'idle.versus': 'NA ŘADĚ: HRÁČ {player}',
+
+  'difficulty.easy': 'Lehká',
+  'difficulty.normal': 'Normální',
+  'difficulty.hard': 'Těžká',
+
+  'practice.off': 'Trénink',
+  'practice.on': 'Trénink ✓',
+  'practice.speed': '{percent} %',
+  'practice.badge': 'Trénink',
+  'practice.endTitle': 'Konec tréninku',
+
+  'level.cleared': 'Úroveň splněna!',
+  'level.failed': 'Úroveň nesplněna',
+  'level.complete': '🏆 Kampaň dokončena!',
+  'level.next': 'Další úroveň',
+  'level.total': 'Celkem: {score}',
+
+  'versus.player': 'Hráč {player}',
+  'versus.turnOver': 'Hráč {player} dohrál',
+  'versus.nextPlayer': 'Na řadě je hráč {player}',
+  'versus.next': 'Další hráč',
+  'versus.winner': '🏆 Vyhrává hráč {player}!',
+  'versus.draw': 'Remíza!',
+  'versus.newMatch': 'Nový zápas',
+
+  'end.title': 'Konec hry',
+  'end.recordTitle': '🏆 OSOBNÍ REKORD!',
+  'end.saves': {
+    one: '{count} zákrok',
+    few: '{count} zákroky',
+    many: '{count} zákroku',
+    other: '{count} zákroků'
+  },
+  'end.subtitle': '{saves} • Můj rekord: {best}',
+  'end.recordSubtitle': 'Nový rekord: {saves}',
+  'end.playAgain': 'Hrát znovu',
+  'end.back': 'Zpět',
+  'end.watchReplay': '▶ Přehrát záznam',
+  'end.longestStreak': 'Nejdelší série: {streak}',
+
+  'replay.badge': 'ZÁZNAM',
+
+  'hud.score': 'Zásahů: {score}',
+  'hud.combo': '×{multiplier} • série {streak}',
+
+  'powerUp.extraLife': 'Život navíc',
+  'powerUp.wideGlove': 'Široká lapačka',
+  'powerUp.slowMotion': 'Zpomalení',
+  'powerUp.magnet': 'Magnet',
+  'powerUp.remaining': '{seconds} s',
+
+  'effect.post': 'TYČKA!',
+  'effect.deflect': 'VYRAŽENO!'
+};
@@ -0,0 +1,83 @@
+/**
+ * German messages
+ */
+
+export const de = {
+  'toolbar.score': 'Paraden',
+  'toolbar.lives': 'Leben',
+  'toolbar.time': 'Zeit',
+  'toolbar.best': 'Mein Rekord',
+  'toolbar.streak': 'Serie',
+  'toolbar.pause': 'Pause',
+  'toolbar.resume': 'Weiter',
+  'toolbar.restart': 'Neustart',
+  'toolbar.mute': 'Ton aus',
+  'toolbar.unmute': 'Ton an',
+  'canvas.label': 'Spielfeld - fange die innogy Pucks',
+  'help.text': 'Steuerung: <strong>Maus</strong> oder <strong>Pfeiltasten ← →</strong>. <strong>Leertaste</strong> (oder Doppeltippen) für einen Hechtsprung. Taste <strong>P</strong> für Pause. Auf dem Handy mit dem Finger seitwärts ziehen.',
+
+  'board.title': 'Bestenliste',
+  'board.rank': '#',
+  'board.name': 'Name',
+  'board.score': 'Paraden',
+  'board.date': 'Datum',
+  'board.empty': 'Noch keine Ergebnisse.',
+
+  'idle.title': 'Fang die Pucks!',
+  'idle.start': 'Spiel starten',
+  'idle.daily': 'TAGES-CHALLENGE',
+  'idle.timeAttack': 'ZEITJAGD',
+  'idle.level': 'LEVEL {number}/{total}: {name}',
+  'idle.versus': 'AM ZUG: SPIELER {player}',
+
+  'difficulty.easy': 'Leicht',
+  'difficulty.normal': 'Normal',
+  'difficulty.hard': 'Schwer',
+
+  'practice.off': 'Training',
+  'practice.on': 'Training ✓',
+  'practice.speed': '{percent} %',
+  'practice.badge': 'Training',
+  'practice.endTitle': 'Training beendet',
+
+  'level.cleared': 'Level geschafft!',
+  'level.failed': 'Level nicht geschafft',
+  'level.complete': '🏆 Kampagne abgeschlossen!',
+  'level.next': 'Nächstes Level',
+  'level.total': 'Gesamt: {score}',
+
+  'versus.player': 'Spieler {player}',
+  'versus.turnOver': 'Spieler {player} ist fertig',
+  'versus.nextPlayer': 'Spieler {player} ist am Zug',
+  'versus.next': 'Nächster Spieler',
+  'versus.winner': '🏆 Spieler {player} gewinnt!',
+  'versus.draw': 'Unentschieden!',
+  'versus.newMatch': 'Neues Spiel',
+
+  'end.title': 'Spiel vorbei',
+  'end.recordTitle': '🏆 PERSÖNLICHER REKORD!',
+  'end.saves': {
+    one: '{count} Parade',
+    other: '{count} Paraden'
+  },
+  'end.subtitle': '{saves} • Mein Rekord: {best}',
+  'end.recordSubtitle': 'Neuer Rekord: {saves}',
+  'end.playAgain': 'Nochmal',
+  'end.back': 'Zurück',
+  'end.watchReplay': '▶ Wiederholung',
+  'end.longestStreak': 'Längste Serie: {streak}',
+
+  'replay.badge': 'WIEDERHOLUNG',
+
+  'hud.score': 'Treffer: {score}',
+  'hud.combo': '×{multiplier} • Serie {streak}',
+
+  'powerUp.extraLife': 'Extraleben',
+  'powerUp.wideGlove': 'Breiter Fanghandschuh',
+  'powerUp.slowMotion': 'Zeitlupe',
+  'powerUp.magnet': 'Magnet',
+  'powerUp.remaining': '{seconds} s',
+
+  'effect.post': 'PFOSTEN!',
+  'effect.deflect': 'ABPRALLER!'
+};
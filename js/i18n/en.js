@@ -0,0 +1,83 @@
+/**
+ * English messages
+ */
+
+export const en = {
+  'toolbar.score': 'Saves',
+  'toolbar.lives': 'Lives',
+  'toolbar.time': 'Time',
+  'toolbar.best': 'My best',
+  'toolbar.streak': 'Streak',
+  'toolbar.pause': 'Pause',
+  'toolbar.resume': 'Resume',
+  'toolbar.restart': 'Restart',
+  'toolbar.mute': 'Mute',
+  'toolbar.unmute': 'Unmute',
+  'canvas.label': 'Playing field - catch the innogy pucks',
+  'help.text': 'Controls: <strong>mouse</strong> or <strong>arrow keys ← →</strong>. <strong>Space</strong> (or a double tap) to dive. Press <strong>P</strong> to pause. On mobile, drag your finger sideways.',
+
+  'board.title': 'Leaderboard',
+  'board.rank': '#',
+  'board.name': 'Name',
+  'board.score': 'Saves',
+  'board.date': 'Date',
+  'board.empty': 'No scores yet.',
+
+  'idle.title': 'Catch the pucks!',
+  'idle.start': 'Start game',
+  'idle.daily': 'DAILY CHALLENGE',
+  'idle.timeAttack': 'TIME ATTACK',
+  'idle.level': 'LEVEL {number}/{total}: {name}',
+  'idle.versus': 'UP NEXT: PLAYER {player}',
+
+  'difficulty.easy': 'Easy',
+  'difficulty.normal': 'Normal',
+  'difficulty.hard': 'Hard',
+
+  'practice.off': 'Practice',
+  'practice.on': 'Practice ✓',
+  'practice.speed': '{percent}%',
+  'practice.badge': 'Practice',
+  'practice.endTitle': 'Practice over',
+
+  'level.cleared': 'Level cleared!',
+  'level.failed': 'Level failed',
+  'level.complete': '🏆 Campaign complete!',
+  'level.next': 'Next level',
+  'level.total': 'Total: {score}',
+
+  'versus.player': 'Player {player}',
+  'versus.turnOver': 'Player {player} is done',
+  'versus.nextPlayer': 'Player {player} is up next',
+  'versus.next': 'Next player',
+  'versus.winner': '🏆 Player {player} wins!',
+  'versus.draw': 'Draw!',
+  'versus.newMatch': 'New match',
+
+  'end.title': 'Game over',
+  'end.recordTitle': '🏆 PERSONAL BEST!',
+  'end.saves': {
+    one: '{count} save',
+    other: '{count} saves'
+  },
+  'end.subtitle': '{saves} • My best: {best}',
+  'end.recordSubtitle': 'New best: {saves}',
+  'end.playAgain': 'Play again',
+  'end.back': 'Back',
+  'end.watchReplay': '▶ Watch replay',
+  'end.longestStreak': 'Longest streak: {streak}',
+
+  'replay.badge': 'REPLAY',
+
+  'hud.score': 'Hits: {score}',
+  'hud.combo': '×{multiplier} • streak {streak}',
+
+  'powerUp.extraLife': 'Extra life',
+  'powerUp.wideGlove': 'Wide glove',
+  'powerUp.slowMotion': 'Slow motion',
+  'powerUp.magnet': 'Magnet',
+  'powerUp.remaining': '{seconds} s',
+
+  'effect.post': 'POST!',
+  'effect.deflect': 'REBOUND!'
+};
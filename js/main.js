@@ -7,6 +7,7 @@
 
 import { Game } from './game/Game.js';
 import { CANVAS } from './utils/constants.js';
+import { I18n } from './i18n/I18n.js';
 
 /**
  * Get all required DOM element references
@@ -17,13 +18,38 @@ function getElements() {
     scoreEl: document.getElementById('score'),
     livesEl: document.getElementById('lives'),
     bestEl: document.getElementById('best'),
+    streakEl: document.getElementById('streak'),
+    practiceEl: document.getElementById('practice'),
     pauseBtn: document.getElementById('pauseBtn'),
+    muteBtn: document.getElementById('muteBtn'),
     restartBtn: document.getElementById('restartBtn'),
     nameInput: null, // No longer used - names come from API or default to "Anonym"
     boardBody: document.getElementById('board')
   };
 }
 
+/**
+ * Get page locale (?lang=en overrides the <html lang> attribute)
+ * @returns {string} Locale
+ */
+function getLocale() {
+  return new URLSearchParams(window.location.search).get('lang') || document.documentElement.lang;
+}
+
+/**
+ * Translate static page texts marked with data-i18n (HTML content) / data-i18n-label (aria-label)
+ * @param {I18n} i18n - Translator
+ */
+function translatePage(i18n) {
+  for (const el of document.querySelectorAll('[data-i18n]')) {
+    el.innerHTML = i18n.t(el.dataset.i18n);
+  }
+  for (const el of document.querySelectorAll('[data-i18n-label]')) {
+    el.setAttribute('aria-label', i18n.t(el.dataset.i18nLabel));
+  }
+  document.documentElement.lang = i18n.language;
+}
+
 /**
  * Validate required elements exist (only core game elements)
  * @param {Object} elements - Element references
@@ -64,8 +90,10 @@ export function init() {
     return null;
   }
 
-  // Create game instance
-  const game = new Game(canvas, elements);
+  // Translate page and create game instance
+  const locale = getLocale();
+  translatePage(new I18n(locale));
+  const game = new Game(canvas, elements, { locale });
 
   // Expose to window for debugging (optional)
   if (typeof window !== 'undefined') {
@@ -13,6 +13,21 @@ const API_CONFIG = {
   }
 };
 
+/**
+ * Build URL query string from params (skips null/undefined values)
+ * @param {Object|null} params - Query params
+ * @returns {string} Query string including leading "?" or empty string
+ */
+function buildQuery(params) {
+  if (!params) return '';
+
+  const pairs = Object.keys(params)
+    .filter(key => params[key] !== null && params[key] !== undefined)
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`);
+
+  return pairs.length > 0 ? '?' + pairs.join('&') : '';
+}
+
 /**
  * API Service class
  */
@@ -25,6 +40,8 @@ export class ApiService {
     this.baseUrl = options.baseUrl || API_CONFIG.baseUrl;
     this.playerId = null;
     this.playerName = null;
+    this.nonce = null; // One-time session nonce, required for the next score submission
+    this.pendingRequests = new Set(); // AbortControllers of requests in flight (see abort())
   }
 
   /**
@@ -60,8 +77,11 @@ export class ApiService {
       mode: isCrossOrigin ? 'cors' : 'same-origin'
     };
 
+    const controller = new AbortController();
+    this.pendingRequests.add(controller);
+
     try {
-      const response = await fetch(url, { ...defaultOptions, ...options });
+      const response = await fetch(url, { ...defaultOptions, ...options, signal: controller.signal });
 
       if (!response.ok) {
         throw new Error(`API error: ${response.status} ${response.statusText}`);
@@ -69,9 +89,24 @@ export class ApiService {
 
       return await response.json();
     } catch (error) {
-      console.error(`API request failed: ${endpoint}`, error);
+      // Aborted requests (widget destroyed) are expected - no need to report them
+      if (error.name !== 'AbortError') {
+        console.error(`API request failed: ${endpoint}`, error);
+      }
       throw error;
+    } finally {
+      this.pendingRequests.delete(controller);
+    }
+  }
+
+  /**
+   * Abort all requests in flight (pending promises reject with AbortError)
+   */
+  abort() {
+    for (const controller of this.pendingRequests) {
+      controller.abort();
     }
+    this.pendingRequests.clear();
   }
 
   /**
@@ -85,6 +120,7 @@ export class ApiService {
    *     name: "Pavel",
    *     bestScore: 42
    *   },
+   *   nonce: "4f9c2e...",  // one-time session nonce for the next score submission
    *   leaderboard: [
    *     { rank: 1, name: "Jan", score: 156, date: 1737388800000 },
    *     { rank: 2, name: "Marie", score: 142, date: 1737302400000 },
@@ -92,11 +128,19 @@ export class ApiService {
    *   ]
    * }
    *
+   * Leaderboard bucket (optional) is sent as query params, e.g. daily challenge:
+   *   GET /Oh2026Init?mode=daily&day=2026-01-30&seed=123456
+   * or time attack (separate leaderboard, scores are not comparable with survival runs):
+   *   GET /Oh2026Init?mode=timeAttack
+   * or a campaign level (every level is ranked on its own):
+   *   GET /Oh2026Init?mode=campaign&level=volley
+   *
+   * @param {Object|null} bucket - Leaderboard bucket params (optional)
    * @returns {Promise<Object>} Player info and leaderboard data
    */
-  async init() {
+  async init(bucket = null) {
     try {
-      const data = await this.request(API_CONFIG.endpoints.init, {
+      const data = await this.request(API_CONFIG.endpoints.init + buildQuery(bucket), {
         method: 'GET'
       });
 
@@ -105,10 +149,13 @@ export class ApiService {
         this.playerId = data.player.id;
         this.playerName = data.player.name;
       }
+      this.nonce = data.nonce || null;
 
       return data;
     } catch (error) {
-      console.warn('Failed to initialize from API, using local storage fallback');
+      if (error.name !== 'AbortError') {
+        console.warn('Failed to initialize from API, using local storage fallback');
+      }
       return null;
     }
   }
@@ -116,18 +163,29 @@ export class ApiService {
   /**
    * Submit score to server
    * Only submits if score is player's personal best (handled by server)
+   * Sends the one-time session nonce; the server rejects reused or missing nonces
+   * and returns a fresh one for the next run
    *
    * Request body:
    * {
    *   playerId: "abc123",
    *   playerName: "Pavel",
-   *   score: 52
+   *   score: 52,
+   *   nonce: "4f9c2e...",  // one-time session nonce from init (or previous submission)
+   *   duration: 48213,     // run duration in ms
+   *   frames: 2893,        // simulated frame count
+   *   catches: [912, 1840, ...], // catch timestamps in ms since run start
+   *   mode: "daily",       // leaderboard bucket fields (optional, mode is "daily", "timeAttack" or "campaign")
+   *   day: "2026-01-30",
+   *   seed: 123456,
+   *   replay: "2|123456|17:0*24,16:3,17:-2:1,..." // compact input log for server-side verification
    * }
    *
    * Expected response:
    * {
    *   success: true,
    *   isNewRecord: true,
+   *   nonce: "a71d0b...",  // fresh nonce for the next submission
    *   player: {
    *     id: "abc123",
    *     name: "Pavel",
@@ -142,16 +200,23 @@ export class ApiService {
    *
    * @param {string} playerName - Player name
    * @param {number} score - Score to submit
+   * @param {Object|null} details - Extra body fields: leaderboard bucket, input log (optional)
    * @returns {Promise<Object>} Updated leaderboard data
    */
-  async submitScore(playerName, score) {
+  async submitScore(playerName, score, details = null) {
+    // Nonce is single-use - consume it before the request
+    const nonce = this.nonce;
+    this.nonce = null;
+
     try {
       const data = await this.request(API_CONFIG.endpoints.submitScore, {
         method: 'POST',
         body: JSON.stringify({
           playerId: this.playerId,
           playerName: playerName || this.playerName || 'Anonym',
-          score: score
+          score: score,
+          nonce: nonce,
+          ...details
         })
       });
 
@@ -160,10 +225,17 @@ export class ApiService {
         this.playerId = data.player.id;
         this.playerName = data.player.name;
       }
+      this.nonce = data.nonce || null;
 
       return data;
     } catch (error) {
-      console.warn('Failed to submit score to API, using local storage fallback');
+      // Request failed - keep the unused nonce for the next submission
+      if (this.nonce === null) {
+        this.nonce = nonce;
+      }
+      if (error.name !== 'AbortError') {
+        console.warn('Failed to submit score to API, using local storage fallback');
+      }
       return null;
     }
   }
@@ -3,27 +3,36 @@
  * No localStorage - requires API backend for score storage
  */
 
-import { escapeHtml, formatDateOnly, formatTimeOnly } from '../utils/helpers.js';
+import { escapeHtml } from '../utils/helpers.js';
 import { apiService } from '../services/api.js';
+import { I18n } from '../i18n/I18n.js';
 
 export class Leaderboard {
   /**
    * Create leaderboard manager
    * @param {HTMLElement} containerElement - Container element for rendering (grid body)
+   * @param {ApiService} api - API client (default: shared apiService)
+   * @param {I18n} i18n - Translator for texts and dates (default: Czech)
    */
-  constructor(containerElement) {
+  constructor(containerElement, api = apiService, i18n = new I18n()) {
     this.container = containerElement;
+    this.api = api;
+    this.i18n = i18n;
     this.displayLimit = 10;    // Entries shown in UI
     this.apiAvailable = false; // Will be set to true if API responds
+    this.entries = null;       // Last leaderboard entries received from API
+    this.destroyed = false;    // Set by destroy() - late API responses are ignored
   }
 
   /**
    * Initialize leaderboard - load from API
+   * @param {Object|null} bucket - Leaderboard bucket params, e.g. daily challenge (optional)
    * @returns {Promise<Object|null>} Player data if available
    */
-  async init() {
+  async init(bucket = null) {
     try {
-      const data = await apiService.init();
+      const data = await this.api.init(bucket);
+      if (this.destroyed) return null;
 
       if (data && data.leaderboard) {
         this.apiAvailable = true;
@@ -34,6 +43,8 @@ export class Leaderboard {
       console.warn('API init failed:', error);
     }
 
+    if (this.destroyed) return null;
+
     // API not available - show empty state
     this.apiAvailable = false;
     this.renderEmpty();
@@ -43,16 +54,18 @@ export class Leaderboard {
   /**
    * Add a new score entry via API
    * @param {number} score - Score value
+   * @param {Object|null} details - Extra submission fields: leaderboard bucket, input log (optional)
    * @returns {Promise<Array|null>} Updated leaderboard or null if failed
    */
-  async addScore(score) {
+  async addScore(score, details = null) {
     if (!this.apiAvailable) {
       console.warn('API not available, score not saved');
       return null;
     }
 
     try {
-      const data = await apiService.submitScore('Anonym', score);
+      const data = await this.api.submitScore('Anonym', score, details);
+      if (this.destroyed) return null;
 
       if (data && data.leaderboard) {
         this.renderFromApi(data.leaderboard);
@@ -65,6 +78,29 @@ export class Leaderboard {
     return null;
   }
 
+  /**
+   * Move leaderboard to another container (widget remount) and render current entries
+   * @param {HTMLElement} containerElement - New container element (grid body)
+   */
+  setContainer(containerElement) {
+    this.container = containerElement;
+
+    if (this.entries) {
+      this.renderFromApi(this.entries);
+    } else if (!this.apiAvailable) {
+      this.renderEmpty();
+    }
+  }
+
+  /**
+   * Abort pending API requests and release the container
+   */
+  destroy() {
+    this.destroyed = true;
+    this.api.abort();
+    this.container = null;
+  }
+
   /**
    * Render empty state
    */
@@ -74,7 +110,7 @@ export class Leaderboard {
     this.container.innerHTML = `
       <div class="minigame-leaderboard-row minigame-leaderboard-empty">
         <span class="minigame-leaderboard-cell" style="grid-column: 1 / -1;">
-          Zatím žádné skóre.
+          ${this.i18n.t('board.empty')}
         </span>
       </div>
     `;
@@ -86,6 +122,7 @@ export class Leaderboard {
    *   Expected format: [{ rank: 1, name: "Jan", score: 156, date: "2026-01-20" }, ...]
    */
   renderFromApi(leaderboard) {
+    this.entries = leaderboard || [];
     if (!this.container) return;
 
     if (!leaderboard || leaderboard.length === 0) {
@@ -105,7 +142,7 @@ export class Leaderboard {
           <span class="minigame-leaderboard-cell">${rank}</span>
           <span class="minigame-leaderboard-cell">${medal}${escapeHtml(entry.name)}</span>
           <span class="minigame-leaderboard-cell"><strong>${entry.score}</strong></span>
-          <span class="minigame-leaderboard-cell">${entry.date ? `${formatDateOnly(entry.date)} <span class="minigame-leaderboard-time">${formatTimeOnly(entry.date)}</span>` : ''}</span>
+          <span class="minigame-leaderboard-cell">${entry.date ? `${this.i18n.formatDate(entry.date)} <span class="minigame-leaderboard-time">${this.i18n.formatTime(entry.date)}</span>` : ''}</span>
         </div>
       `;
     }).join('');
@@ -0,0 +1,73 @@
+/**
+ * Minimal event emitter for game events (used by host pages embedding the widget)
+ */
+
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler called with event payload
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, handler) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Subscribe to an event for a single call
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler called with event payload
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, handler) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      handler(payload);
+    };
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} event - Event name
+   * @param {Function} handler - Previously subscribed handler
+   */
+  off(event, handler) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+  }
+
+  /**
+   * Emit an event
+   * Handler errors are logged, not thrown - a broken host callback must not stop the game loop
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  emit(event, payload) {
+    const handlers = this.listeners[event];
+    if (!handlers) return;
+
+    for (const handler of handlers.slice()) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`InnogyGame: "${event}" handler failed`, error);
+      }
+    }
+  }
+
+  /**
+   * Remove all listeners
+   */
+  removeAllListeners() {
+    this.listeners = {};
+  }
+}
@@ -7,7 +7,9 @@ export const CANVAS = {
   // Portrait mode - half rink ratio (85ft wide × 100ft long)
   // Ratio: 85/100 = 0.85, so width = height × 0.85
   WIDTH: 600,
-  HEIGHT: 600  // 600 / 0.85 ≈ 706
+  HEIGHT: 600,  // 600 / 0.85 ≈ 706
+  // Logical size above is what the game works with; the backing store is scaled by devicePixelRatio
+  MAX_PIXEL_RATIO: 3  // Cap backing store resolution (memory on large high-DPI screens)
 };
 
 export const COLORS = {
@@ -25,7 +27,11 @@ export const GAME = {
   SPAWN_INTERVAL_DECREASE: 50,    // milliseconds to decrease spawn interval each ramp
   SPEED_INCREASE: 0.35,          // speed increase each ramp
   MIN_SPAWN_INTERVAL: 400,        // milliseconds minimum spawn interval
-  MAX_SPEED: 22.0
+  SPAWN_JITTER: 0.15,             // +/- fraction of spawn interval (seeded, so runs stay reproducible)
+  MAX_SPEED: 22.0,
+  MAX_LIVES: 5,                   // cap for extra lives from power-ups
+  MAX_FRAME_TIME: 50,             // milliseconds - longer frames are clamped to prevent huge jumps
+  MAX_STEP_DELTA: 1.25            // longer puck moves are split into sub-steps (1.0 = one 60fps frame)
 };
 
 export const PUCK = {
@@ -37,7 +43,48 @@ export const PUCK = {
   OFFSCREEN_MARGIN: 40,
   // Horizontal movement (increases with difficulty)
   HORIZONTAL_MAX: 6.0,          // Max horizontal speed at full difficulty
-  HORIZONTAL_START_DELAY: 180   // Frames before horizontal movement starts (3 sec)
+  HORIZONTAL_START_DELAY: 180,  // Frames before horizontal movement starts (3 sec)
+  // Puck types (see PuckTypes.js)
+  GOLDEN_POINTS: 3,             // Points for a caught golden puck
+  CURVE_ACCEL: 0.12,            // Curving puck horizontal acceleration per frame
+  SPLIT_Y: 220,                 // Splitter puck breaks into two when crossing this Y
+  SPLIT_SPREAD: 2.5,            // Horizontal speed added to each half (in opposite directions)
+  // Rebounds (post hits and goalie deflections)
+  REBOUND_GRAVITY: 0.25,        // Pull back toward the goal per frame - rebounds come back into play
+  DEFLECT_RESTITUTION: 0.5,     // Kept fraction of the vertical speed when the goalie only grazes a puck
+  DEFLECT_KICK: 3               // Min horizontal speed of a deflected puck (away from the goalie or post)
+};
+
+export const TIME_ATTACK = {
+  DURATION: 60000,        // milliseconds on the clock at run start
+  GOAL_PENALTY: 3,        // points subtracted for a conceded goal or caught dummy (score never drops below 0)
+  EXTRA_TIME: 5000        // milliseconds added by the extra life power-up (there are no lives to add)
+};
+
+export const PRACTICE = {
+  SPEEDS: [0.5, 0.75, 1],  // puck speed factors selectable on the idle overlay
+  DEFAULT_SPEED: 1
+};
+
+export const VERSUS = {
+  PLAYERS: 2  // hot-seat players per match, each plays one run of the same puck sequence
+};
+
+export const COMBO = {
+  THRESHOLDS: [10, 25, 50, 100]  // consecutive catches needed for x2, x3, x4, x5 score multiplier
+};
+
+export const POWERUP = {
+  SPAWN_CHANCE: 0.07,     // chance that a spawned puck is a power-up
+  START_DELAY: 5000,      // milliseconds before the first power-up can spawn
+  RADIUS: 12,             // power-up pucks are bigger so they are easy to tell apart
+  WIDE_DURATION: 8000,    // milliseconds
+  WIDE_FACTOR: 1.6,       // catch width multiplier
+  SLOW_DURATION: 6000,    // milliseconds
+  SLOW_FACTOR: 0.55,      // puck speed multiplier
+  MAGNET_DURATION: 7000,  // milliseconds
+  MAGNET_RADIUS: 170,     // pucks closer to the goalie than this are pulled in
+  MAGNET_PULL: 2.2        // max horizontal pull per frame (px at 60fps)
 };
 
 export const GOAL = {
@@ -45,14 +92,21 @@ export const GOAL = {
   HEIGHT: 80,         // Goal depth/height visible below goal line
   Y_OFFSET: 80,       // Goal line position from bottom of canvas
   POST_WIDTH: 10,      // Goal post thickness
+  POST_RESTITUTION: 0.7, // Kept fraction of the speed when a puck rings off a post
   NET_COLOR: '#ffffff',
   POST_COLOR: '#cc0000',
   CROSSBAR_COLOR: '#cc0000'
 };
 
+export const AUDIO = {
+  VOLUME: 0.6,            // default master volume (0-1)
+  LIFE_LOST_DELAY: 0.35   // seconds - life lost sound plays after the goal horn starts
+};
+
 export const EFFECTS = {
   CONFETTI_COUNT: 12,
   CONFETTI_COUNT_GOLD: 44,
   CATCH_FLASH_DECAY: 0.09,
-  CATCH_TEXT_DURATION: 30
+  CATCH_TEXT_DURATION: 30,
+  PING_DURATION: 24       // frames of the ring around a post hit / deflection
 };
@@ -19,12 +19,13 @@ export function escapeHtml(str) {
 }
 
 /**
- * Format timestamp date portion in Czech locale (dd. mm. YYYY)
+ * Format timestamp date portion (Czech: dd. mm. YYYY)
  * @param {number} timestamp - Unix timestamp
+ * @param {string} locale - BCP 47 locale tag (default: cs-CZ)
  * @returns {string} Formatted date string
  */
-export function formatDateOnly(timestamp) {
-  return new Date(timestamp).toLocaleString('cs-CZ', {
+export function formatDateOnly(timestamp, locale = 'cs-CZ') {
+  return new Date(timestamp).toLocaleString(locale, {
     day: '2-digit',
     month: '2-digit',
     year: 'numeric'
@@ -32,17 +33,28 @@ export function formatDateOnly(timestamp) {
 }
 
 /**
- * Format timestamp time portion in Czech locale (H:i)
+ * Format timestamp time portion (Czech: H:i)
  * @param {number} timestamp - Unix timestamp
+ * @param {string} locale - BCP 47 locale tag (default: cs-CZ)
  * @returns {string} Formatted time string
  */
-export function formatTimeOnly(timestamp) {
-  return new Date(timestamp).toLocaleString('cs-CZ', {
+export function formatTimeOnly(timestamp, locale = 'cs-CZ') {
+  return new Date(timestamp).toLocaleString(locale, {
     hour: '2-digit',
     minute: '2-digit'
   });
 }
 
+/**
+ * Format countdown clock (m:ss, seconds rounded up so 0:00 shows only when time is up)
+ * @param {number} ms - Remaining time in milliseconds
+ * @returns {string} Formatted clock, e.g. "0:42"
+ */
+export function formatClock(ms) {
+  const seconds = Math.ceil(Math.max(0, ms) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
 /**
  * Clamp value between min and max
  * @param {number} value - Value to clamp
@@ -2,16 +2,156 @@
  * Input handler for mouse, touch, and keyboard controls
  */
 
+import { CANVAS } from './constants.js';
+
+// Keyboard events are routed only to the active (focused / last interacted) handler,
+// so multiple games on one page don't all react to the same key press
+let activeHandler = null;
+
+// Attached handlers - shared window listeners are removed when the last one detaches
+const attachedHandlers = new Set();
+
+// Two taps within this time (ms) trigger a dive
+const DOUBLE_TAP_MS = 300;
+
+/**
+ * Check if a key event comes from a text field of the host page (Space must keep typing there)
+ * @param {EventTarget} target - Key event target
+ * @returns {boolean}
+ */
+function isTypingTarget(target) {
+  return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+/**
+ * Route window key press to the active handler
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function onWindowKeyDown(e) {
+  if (activeHandler) activeHandler.handleKeyDown(e);
+}
+
+/**
+ * Route window key release to the active handler
+ * @param {KeyboardEvent} e - Keyboard event
+ */
+function onWindowKeyUp(e) {
+  if (activeHandler) activeHandler.handleKeyUp(e);
+}
+
 export class InputHandler {
-  constructor(canvas) {
-    this.canvas = canvas;
-    this.targetX = canvas.width / 2;
+  /**
+   * @param {HTMLCanvasElement} canvas - Game canvas
+   * @param {Object} options - Input options
+   * @param {HTMLElement} options.focusRoot - Element whose interaction makes this handler receive keyboard input (default: canvas)
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = null;
+    this.focusRoot = null;
+    this.targetX = CANVAS.WIDTH / 2;
     this.keys = { left: false, right: false };
     this.keyboardSpeed = 10;
 
+    // Dive requested by Space or a double tap, taken by consumeDive() on the next frame
+    this.diveRequested = false;
+    this.lastTapTime = -Infinity;
+
     this.onPauseRequest = null;
 
+    // Space is taken only while a run is in progress and the pointer or focus is in this game
+    this.isPlaying = null;
+    this.pointerInside = false;
+
+    // Bind methods (same references are needed to remove the listeners)
+    this.activate = this.activate.bind(this);
+    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleTouchMove = this.handleTouchMove.bind(this);
+    this.handleTouchStart = this.handleTouchStart.bind(this);
+    this.handlePointerEnter = () => { this.pointerInside = true; };
+    this.handlePointerLeave = () => { this.pointerInside = false; };
+
+    this.attach(canvas, options.focusRoot);
+  }
+
+  /**
+   * Start listening on a canvas (called on creation and on widget remount)
+   * @param {HTMLCanvasElement} canvas - Game canvas
+   * @param {HTMLElement} focusRoot - Element whose interaction activates keyboard input (default: canvas)
+   */
+  attach(canvas, focusRoot = canvas) {
+    this.detach();
+
+    this.canvas = canvas;
+    this.focusRoot = focusRoot || canvas;
     this.bindEvents();
+
+    // First game on the page gets the keyboard until another one is interacted with
+    if (!activeHandler) {
+      this.activate();
+    }
+  }
+
+  /**
+   * Stop listening (removes canvas, focus and - for the last handler - window listeners)
+   */
+  detach() {
+    if (!this.canvas) return;
+
+    this.canvas.removeEventListener('mousemove', this.handleMouseMove);
+    this.canvas.removeEventListener('touchmove', this.handleTouchMove);
+    this.canvas.removeEventListener('touchstart', this.handleTouchStart);
+    this.focusRoot.removeEventListener('mousedown', this.activate);
+    this.focusRoot.removeEventListener('touchstart', this.activate);
+    this.focusRoot.removeEventListener('focusin', this.activate);
+    this.focusRoot.removeEventListener('mouseenter', this.handlePointerEnter);
+    this.focusRoot.removeEventListener('mouseleave', this.handlePointerLeave);
+
+    attachedHandlers.delete(this);
+    if (attachedHandlers.size === 0) {
+      window.removeEventListener('keydown', onWindowKeyDown);
+      window.removeEventListener('keyup', onWindowKeyUp);
+    }
+
+    if (activeHandler === this) {
+      activeHandler = null;
+    }
+    this.keys.left = false;
+    this.keys.right = false;
+    this.diveRequested = false;
+    this.pointerInside = false;
+    this.canvas = null;
+    this.focusRoot = null;
+  }
+
+  /**
+   * Detach and drop callbacks - handler can't be used afterwards
+   */
+  destroy() {
+    this.detach();
+    this.onPauseRequest = null;
+    this.isPlaying = null;
+  }
+
+  /**
+   * Route keyboard input to this handler
+   */
+  activate() {
+    if (activeHandler === this) return;
+
+    // Keys held in the previous game would otherwise stay pressed
+    if (activeHandler) {
+      activeHandler.keys.left = false;
+      activeHandler.keys.right = false;
+    }
+    activeHandler = this;
+  }
+
+  /**
+   * Check if this handler currently receives keyboard input
+   * @returns {boolean}
+   */
+  get isActive() {
+    return activeHandler === this;
   }
 
   /**
@@ -22,65 +162,138 @@ export class InputHandler {
     this.onPauseRequest = callback;
   }
 
+  /**
+   * Set callback telling whether a run is in progress (Space dives only then)
+   * @param {Function} callback - Returns true while the game is running
+   */
+  setPlayingCallback(callback) {
+    this.isPlaying = callback;
+  }
+
+  /**
+   * Check if a Space press belongs to this game - otherwise it keeps scrolling the page
+   * and activating host page buttons and links
+   * @param {KeyboardEvent} e - Keyboard event
+   * @returns {boolean}
+   */
+  ownsSpace(e) {
+    if (!this.isPlaying || !this.isPlaying() || isTypingTarget(e.target)) return false;
+    return this.pointerInside || (!!this.focusRoot && this.focusRoot.contains(e.target));
+  }
+
   /**
    * Bind all input event listeners
    */
   bindEvents() {
     // Mouse movement
-    this.canvas.addEventListener('mousemove', (e) => {
-      this.targetX = this.getCanvasX(e.clientX);
-    });
+    this.canvas.addEventListener('mousemove', this.handleMouseMove);
 
     // Touch movement
-    this.canvas.addEventListener('touchmove', (e) => {
-      e.preventDefault();
-      if (e.touches.length > 0) {
-        this.targetX = this.getCanvasX(e.touches[0].clientX);
-      }
-    }, { passive: false });
+    this.canvas.addEventListener('touchmove', this.handleTouchMove, { passive: false });
 
     // Touch start (for initial position)
-    this.canvas.addEventListener('touchstart', (e) => {
-      if (e.touches.length > 0) {
-        this.targetX = this.getCanvasX(e.touches[0].clientX);
+    this.canvas.addEventListener('touchstart', this.handleTouchStart, { passive: true });
+
+    // Interaction with this game's area routes keyboard input here
+    this.focusRoot.addEventListener('mousedown', this.activate);
+    this.focusRoot.addEventListener('touchstart', this.activate, { passive: true });
+    this.focusRoot.addEventListener('focusin', this.activate);
+    this.focusRoot.addEventListener('mouseenter', this.handlePointerEnter);
+    this.focusRoot.addEventListener('mouseleave', this.handlePointerLeave);
+
+    // Keyboard controls (shared window listeners, added once per page)
+    if (attachedHandlers.size === 0) {
+      window.addEventListener('keydown', onWindowKeyDown);
+      window.addEventListener('keyup', onWindowKeyUp);
+    }
+    attachedHandlers.add(this);
+  }
+
+  /**
+   * Handle mouse movement
+   * @param {MouseEvent} e - Mouse event
+   */
+  handleMouseMove(e) {
+    this.targetX = this.getCanvasX(e.clientX);
+  }
+
+  /**
+   * Handle touch movement
+   * @param {TouchEvent} e - Touch event
+   */
+  handleTouchMove(e) {
+    e.preventDefault();
+    if (e.touches.length > 0) {
+      this.targetX = this.getCanvasX(e.touches[0].clientX);
+    }
+  }
+
+  /**
+   * Handle touch start (for initial position, a double tap dives)
+   * @param {TouchEvent} e - Touch event
+   */
+  handleTouchStart(e) {
+    if (e.touches.length > 0) {
+      this.targetX = this.getCanvasX(e.touches[0].clientX);
+    }
+
+    if (e.timeStamp - this.lastTapTime <= DOUBLE_TAP_MS) {
+      this.diveRequested = true;
+      this.lastTapTime = -Infinity;
+    } else {
+      this.lastTapTime = e.timeStamp;
+    }
+  }
+
+  /**
+   * Handle key press (only called while this handler is active)
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyDown(e) {
+    if (e.key === 'ArrowLeft') {
+      this.keys.left = true;
+    } else if (e.key === 'ArrowRight') {
+      this.keys.right = true;
+    } else if (e.key === ' ') {
+      if (!this.ownsSpace(e)) return;
+      // Space would scroll the host page
+      e.preventDefault();
+      if (!e.repeat) {
+        this.diveRequested = true;
       }
-    }, { passive: true });
-
-    // Keyboard controls
-    window.addEventListener('keydown', (e) => {
-      if (e.key === 'ArrowLeft') {
-        this.keys.left = true;
-      } else if (e.key === 'ArrowRight') {
-        this.keys.right = true;
-      } else if (e.key.toLowerCase() === 'p') {
-        if (this.onPauseRequest) {
-          this.onPauseRequest();
-        }
+    } else if (e.key.toLowerCase() === 'p') {
+      if (this.onPauseRequest) {
+        this.onPauseRequest();
       }
-    });
+    }
+  }
 
-    window.addEventListener('keyup', (e) => {
-      if (e.key === 'ArrowLeft') {
-        this.keys.left = false;
-      } else if (e.key === 'ArrowRight') {
-        this.keys.right = false;
-      }
-    });
+  /**
+   * Handle key release (only called while this handler is active)
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  handleKeyUp(e) {
+    if (e.key === 'ArrowLeft') {
+      this.keys.left = false;
+    } else if (e.key === 'ArrowRight') {
+      this.keys.right = false;
+    }
   }
 
   /**
-   * Convert client X coordinate to canvas X coordinate
+   * Convert client X coordinate to logical canvas X coordinate
+   * Uses logical width - the backing store is scaled by devicePixelRatio
    * @param {number} clientX - Client X position
    * @returns {number} Canvas X position
    */
   getCanvasX(clientX) {
     const rect = this.canvas.getBoundingClientRect();
-    return (clientX - rect.left) * (this.canvas.width / rect.width);
+    return (clientX - rect.left) * (CANVAS.WIDTH / rect.width);
   }
 
   /**
    * Update target position based on keyboard input
-   * @returns {number} Updated target X position
+   * @returns {number} Updated target X position (kept inside the field, as recorded run logs require)
    */
   update() {
     if (this.keys.left) {
@@ -89,15 +302,27 @@ export class InputHandler {
     if (this.keys.right) {
       this.targetX += this.keyboardSpeed;
     }
+    this.targetX = Math.max(0, Math.min(CANVAS.WIDTH, this.targetX));
     return this.targetX;
   }
 
+  /**
+   * Take a pending dive request (each request dives at most once)
+   * @returns {boolean} True if a dive was requested since the last call
+   */
+  consumeDive() {
+    const requested = this.diveRequested;
+    this.diveRequested = false;
+    return requested;
+  }
+
   /**
    * Reset target position to center
    */
   reset() {
-    this.targetX = this.canvas.width / 2;
+    this.targetX = CANVAS.WIDTH / 2;
     this.keys.left = false;
     this.keys.right = false;
+    this.diveRequested = false;
   }
 }
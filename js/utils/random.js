@@ -0,0 +1,98 @@
+/**
+ * Seedable pseudo-random number generator
+ * Used for everything that affects gameplay so that a run can be reproduced from its seed
+ */
+
+/**
+ * Random number generator (mulberry32)
+ */
+export class Random {
+  /**
+   * Create generator
+   * @param {number} seed - 32-bit unsigned integer seed
+   */
+  constructor(seed = randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Get next random number
+   * @returns {number} Random number in range [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get random number in range
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random number in range
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Random boolean with given probability
+   * @param {number} probability - Probability of true (0-1)
+   * @returns {boolean}
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick random item from array
+   * @param {Array} items - Items to pick from
+   * @returns {*} Random item
+   */
+  pick(items) {
+    return items[Math.floor(this.next() * items.length)];
+  }
+}
+
+/**
+ * Generate a fresh random seed (for runs that don't need to be shared)
+ * @returns {number} 32-bit unsigned integer seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Hash a string into a 32-bit seed (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} 32-bit unsigned integer seed
+ */
+export function hashSeed(str) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Get daily challenge key for a date (UTC, so every player shares the same day)
+ * @param {Date} date - Date (default: now)
+ * @returns {string} Day key in YYYY-MM-DD format
+ */
+export function dailyKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Get daily challenge seed for a date
+ * @param {Date} date - Date (default: now)
+ * @returns {number} 32-bit unsigned integer seed
+ */
+export function dailySeed(date = new Date()) {
+  return hashSeed('innogy-daily-' + dailyKey(date));
+}
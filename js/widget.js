@@ -8,10 +8,13 @@
  *   createGame(document.getElementById('my-container'));
  */
 
-import { Game } from './game/Game.js';
-import { apiService } from './services/api.js';
-import { setAssetsBaseUrl } from './game/Renderer.js';
-import { CANVAS } from './utils/constants.js';
+import { Game, GameEvent } from './game/Game.js';
+import { ApiService } from './services/api.js';
+import { CANVAS, GAME, TIME_ATTACK } from './utils/constants.js';
+import { formatClock } from './utils/helpers.js';
+import { dailyKey, dailySeed } from './utils/random.js';
+import { I18n } from './i18n/I18n.js';
+import { resolveTheme } from './game/Themes.js';
 
 // Pause icon SVG
 const PAUSE_ICON = `<svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
@@ -19,6 +22,12 @@ const PAUSE_ICON = `<svg width="20" height="20" viewBox="0 0 24 24" fill="curren
   <rect x="14" y="4" width="4" height="16" rx="1"/>
 </svg>`;
 
+// Default stylesheet URL (resolved relative to this module, used inside shadow root)
+const DEFAULT_STYLES_URL = new URL('../css/styles.css', import.meta.url).href;
+
+// CSS custom properties set by a theme on each container (removed when the theme changes)
+const themeStyleKeys = new WeakMap();
+
 // Restart icon SVG
 const RESTART_ICON = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">
   <path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/>
@@ -37,38 +46,44 @@ function generateId() {
  * Build the complete game HTML structure
  * @param {string} id - Unique instance ID
  * @param {Object} options - Configuration options
+ * @param {I18n} i18n - Translator for labels
  * @returns {string} HTML string
  */
-function buildHTML(id, options = {}) {
+function buildHTML(id, options = {}, i18n = new I18n()) {
   const {
     showLeaderboard = true,
-    leaderboardTitle = 'Žebříček',
+    leaderboardTitle = i18n.t('board.title'),
     topText,
     bottomText,
-    helpText  // backwards compatibility alias for bottomText
+    helpText,  // backwards compatibility alias for bottomText
+    mode,
+    audio
   } = options;
 
-  // topText shown only if specified
-  const topTextHTML = topText ? `
-    <div class="minigame-top-text">${topText}</div>
-  ` : '';
+  // Time attack shows the countdown clock in place of lives
+  const timeAttack = mode === 'timeAttack';
+
+  // topText shown only if specified (element always present so setOptions() can fill it later)
+  const topTextHTML = `
+    <div class="minigame-top-text" id="${id}-topText"${topText ? '' : ' hidden'}>${topText || ''}</div>
+  `;
 
   // bottomText (or helpText for backwards compat) shown only if specified
   const bottomContent = bottomText || helpText;
-  const bottomTextHTML = bottomContent ? `
-    <div class="minigame-bottom-text">${bottomContent}</div>
-  ` : '';
+  const bottomTextHTML = `
+    <div class="minigame-bottom-text" id="${id}-bottomText"${bottomContent ? '' : ' hidden'}>${bottomContent || ''}</div>
+  `;
 
   const leaderboardHTML = showLeaderboard ? `
     <aside class="minigame-card">
-      <h2>🏅 ${leaderboardTitle}</h2>
+      <h2>🏅 <span id="${id}-boardTitle">${leaderboardTitle}</span></h2>
 
       <div class="minigame-leaderboard">
         <div class="minigame-leaderboard-header">
-          <span>#</span>
-          <span>Jméno</span>
-          <span>Zákroky</span>
-          <span>Datum</span>
+          <span>${i18n.t('board.rank')}</span>
+          <span>${i18n.t('board.name')}</span>
+          <span>${i18n.t('board.score')}</span>
+          <span>${i18n.t('board.date')}</span>
         </div>
         <div class="minigame-leaderboard-body" id="${id}-board"></div>
       </div>
@@ -83,23 +98,29 @@ function buildHTML(id, options = {}) {
           <div class="minigame-canvas-toolbar">
             <div class="minigame-toolbar-stats">
               <div class="minigame-toolbar-stat">
-                <span class="minigame-toolbar-label">Zákroky</span>
+                <span class="minigame-toolbar-label">${i18n.t('toolbar.score')}</span>
                 <span class="minigame-toolbar-val" id="${id}-score">0</span>
               </div>
               <div class="minigame-toolbar-stat">
-                <span class="minigame-toolbar-label">Životy</span>
-                <span class="minigame-toolbar-val" id="${id}-lives">3</span>
+                <span class="minigame-toolbar-label">${i18n.t(timeAttack ? 'toolbar.time' : 'toolbar.lives')}</span>
+                <span class="minigame-toolbar-val" id="${id}-lives">${timeAttack ? formatClock(TIME_ATTACK.DURATION) : GAME.INITIAL_LIVES}</span>
               </div>
               <div class="minigame-toolbar-stat">
-                <span class="minigame-toolbar-label">Můj rekord</span>
+                <span class="minigame-toolbar-label">${i18n.t('toolbar.best')}</span>
                 <span class="minigame-toolbar-val" id="${id}-best">0</span>
               </div>
+              <div class="minigame-toolbar-stat">
+                <span class="minigame-toolbar-label">${i18n.t('toolbar.streak')}</span>
+                <span class="minigame-toolbar-val" id="${id}-streak">0</span>
+              </div>
             </div>
             <div class="minigame-toolbar-controls">
-              <button id="${id}-pauseBtn" type="button" class="minigame-toolbar-btn" disabled aria-label="Pauza">
+              <span class="minigame-toolbar-badge" id="${id}-practice" hidden>${i18n.t('practice.badge')}</span>
+              <button id="${id}-pauseBtn" type="button" class="minigame-toolbar-btn" disabled aria-label="${i18n.t('toolbar.pause')}">
                 ${PAUSE_ICON}
               </button>
-              <button id="${id}-restartBtn" type="button" class="minigame-toolbar-btn" aria-label="Restart">
+              <button id="${id}-muteBtn" type="button" class="minigame-toolbar-btn" aria-label="${i18n.t('toolbar.mute')}"${audio === false ? ' hidden' : ''}></button>
+              <button id="${id}-restartBtn" type="button" class="minigame-toolbar-btn" aria-label="${i18n.t('toolbar.restart')}">
                 ${RESTART_ICON}
               </button>
             </div>
@@ -108,7 +129,7 @@ function buildHTML(id, options = {}) {
             id="${id}-game"
             width="${CANVAS.WIDTH}"
             height="${CANVAS.HEIGHT}"
-            aria-label="Herní plocha - chytej innogy puky"
+            aria-label="${i18n.t('canvas.label')}"
             role="img"
           ></canvas>
           ${bottomTextHTML}
@@ -122,83 +143,196 @@ function buildHTML(id, options = {}) {
 
 /**
  * Get element references from the built HTML
- * @param {HTMLElement} container - Container element
+ * @param {HTMLElement|ShadowRoot} root - Element the HTML was rendered into
  * @param {string} id - Instance ID
  * @returns {Object} Element references
  */
-function getElements(container, id) {
+function getElements(root, id) {
   return {
-    scoreEl: container.querySelector(`#${id}-score`),
-    livesEl: container.querySelector(`#${id}-lives`),
-    bestEl: container.querySelector(`#${id}-best`),
-    pauseBtn: container.querySelector(`#${id}-pauseBtn`),
-    restartBtn: container.querySelector(`#${id}-restartBtn`),
+    scoreEl: root.querySelector(`#${id}-score`),
+    livesEl: root.querySelector(`#${id}-lives`),
+    bestEl: root.querySelector(`#${id}-best`),
+    streakEl: root.querySelector(`#${id}-streak`),
+    practiceEl: root.querySelector(`#${id}-practice`),
+    pauseBtn: root.querySelector(`#${id}-pauseBtn`),
+    muteBtn: root.querySelector(`#${id}-muteBtn`),
+    restartBtn: root.querySelector(`#${id}-restartBtn`),
     nameInput: null, // No longer used - names come from API or default to "Anonym"
-    boardBody: container.querySelector(`#${id}-board`)
+    boardBody: root.querySelector(`#${id}-board`),
+    topTextEl: root.querySelector(`#${id}-topText`),
+    bottomTextEl: root.querySelector(`#${id}-bottomText`),
+    boardTitleEl: root.querySelector(`#${id}-boardTitle`)
   };
 }
 
+/**
+ * Get the node widget HTML is rendered into
+ * With encapsulation 'shadow' this is an open shadow root of the container (reused if present)
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - Configuration options
+ * @returns {HTMLElement|ShadowRoot} Render root
+ */
+function getRenderRoot(container, options) {
+  if (options.encapsulation !== 'shadow') {
+    return container;
+  }
+  return container.shadowRoot || container.attachShadow({ mode: 'open' });
+}
+
+/**
+ * Set HTML content of an optional text area (hidden when empty)
+ * @param {HTMLElement|null} element - Text area element
+ * @param {string} html - HTML content
+ */
+function setTextArea(element, html) {
+  if (!element) return;
+  element.innerHTML = html || '';
+  element.hidden = !html;
+}
+
+/**
+ * Subscribe onX option callbacks to matching game events (e.g. onCatch -> 'catch')
+ * @param {Game} game - Game instance
+ * @param {Object} options - Configuration options
+ */
+function bindEventCallbacks(game, options) {
+  for (const event of Object.values(GameEvent)) {
+    const callback = options['on' + event.charAt(0).toUpperCase() + event.slice(1)];
+    if (typeof callback === 'function') {
+      game.on(event, callback);
+    }
+  }
+}
+
+/**
+ * Resolve container from element or CSS selector
+ * @param {string|HTMLElement} containerOrSelector - Container element or CSS selector
+ * @returns {HTMLElement|null} Container element
+ */
+function resolveContainer(containerOrSelector) {
+  return typeof containerOrSelector === 'string'
+    ? document.querySelector(containerOrSelector)
+    : containerOrSelector;
+}
+
+/**
+ * Set theme CSS custom properties on the container (inherited by light DOM and shadow root)
+ * @param {HTMLElement} container - Container element
+ * @param {string|Object} theme - Theme name or partial theme object
+ */
+function applyThemeStyles(container, theme) {
+  for (const key of themeStyleKeys.get(container) || []) {
+    container.style.removeProperty(key);
+  }
+
+  const css = theme ? resolveTheme(theme).css : {};
+  for (const [key, value] of Object.entries(css)) {
+    container.style.setProperty(key, value);
+  }
+  themeStyleKeys.set(container, Object.keys(css));
+}
+
+/**
+ * Build widget markup in a container and collect its elements
+ * @param {HTMLElement} container - Container element
+ * @param {Object} options - Configuration options
+ * @returns {Object} {canvas, elements}
+ */
+function mountHTML(container, options) {
+  // Generate unique ID for this instance
+  const id = generateId();
+
+  // Build and insert HTML
+  // Shadow root gets its own stylesheet - host page CSS doesn't apply inside and ours doesn't leak out
+  const root = getRenderRoot(container, options);
+  const stylesHTML = root !== container
+    ? `<link rel="stylesheet" href="${options.stylesUrl || DEFAULT_STYLES_URL}">`
+    : '';
+  root.innerHTML = stylesHTML + buildHTML(id, options, new I18n(options.locale, options.messages));
+  applyThemeStyles(container, options.theme);
+
+  // Get canvas and elements (keyboard focus is tracked on the container, shadow events are retargeted to it)
+  const canvas = root.querySelector(`#${id}-game`);
+  const elements = { root: container, ...getElements(root, id) };
+
+  // Handle missing leaderboard elements when showLeaderboard is false
+  if (!options.showLeaderboard) {
+    elements.boardBody = null;
+  }
+
+  return { canvas, elements };
+}
+
 /**
  * Create game widget in a container
  * @param {string|HTMLElement} containerOrSelector - Container element or CSS selector
  * @param {Object} options - Configuration options
  * @param {boolean} options.showLeaderboard - Show leaderboard panel (default: true)
- * @param {string} options.leaderboardTitle - Leaderboard header text (default: "Žebříček")
+ * @param {string} options.leaderboardTitle - Leaderboard header text (default: "Žebříček", translated)
  * @param {string} options.topText - HTML content above canvas (optional)
  * @param {string} options.bottomText - HTML content below canvas (optional)
  * @param {string} options.helpText - Alias for bottomText (backwards compatibility)
  * @param {boolean} options.confetti - Enable confetti effects (default: true)
+ * @param {boolean} options.audio - Enable sounds and the toolbar mute button (default: true)
+ * @param {number} options.volume - Sound volume 0-1 (default: 0.6)
+ * @param {Object} options.sounds - Sound file URLs by sound type, relative to assetsUrl (optional, see README "Sound")
  * @param {string} options.apiUrl - API base URL for cross-origin usage (e.g., 'https://yourdomain.com/api')
  * @param {string} options.assetsUrl - Base URL for assets (e.g., 'https://yourdomain.com/gamifikace/')
  * @param {Object} options.secondaryButton - Secondary button config for end overlay
  * @param {string} options.secondaryButton.url - URL to navigate to
  * @param {string} options.secondaryButton.target - Link target (_self, _blank, etc.)
- * @param {string} options.secondaryButton.text - Button label (default: "Zpět")
+ * @param {string} options.secondaryButton.text - Button label (default: "Zpět", translated)
  * @param {Object} options.idleText - Idle overlay text config
  * @param {string} options.idleText.title - Title text (default: "Chytej puky!")
  * @param {string} options.idleText.subtitle1 - First subtitle line (optional)
  * @param {string} options.idleText.subtitle2 - Second subtitle line (optional)
- * @returns {Object} Game instance and destroy function
+ * @param {string} options.mode - Game mode: 'classic' (default), 'daily' (same puck sequence for everyone that day),
+ *   'timeAttack' (60 s on the clock, unlimited lives, conceded goals cost points), 'campaign' (scripted levels)
+ *   or 'versus' (two players take turns on the same puck sequence)
+ * @param {Object|Object[]} options.levels - Campaign levels (see README "Campaign & Level Files"), instead of levelsUrl
+ * @param {string} options.levelsUrl - Campaign JSON URL, relative to assetsUrl (default: assets/levels/campaign.json)
+ * @param {string} options.locale - UI language: 'cs' (default), 'en', 'de' or a full tag like 'en-US'
+ * @param {Object} options.messages - Overrides of individual messages by key, e.g. { 'end.title': 'Game Over!' }
+ * @param {string|Object} options.theme - Theme: 'innogy' (default), 'dark', 'high-contrast' or a partial theme object
+ * @param {string|Object} options.difficulty - Difficulty: 'easy', 'normal' (default), 'hard' or custom settings object
+ * @param {boolean} options.difficultySelector - Show difficulty selector on idle overlay (default: false)
+ * @param {boolean} options.practiceToggle - Show practice mode toggle on idle overlay (default: false)
+ * @param {string} options.encapsulation - 'shadow' renders into a shadow root with its own styles (default: none)
+ * @param {string} options.stylesUrl - Stylesheet loaded into the shadow root (default: css/styles.css next to js/)
+ * @param {Function} options.onStart - Game event callbacks (optional): onStart, onPause, onResume,
+ *   onCatch, onGoalConceded, onDummyCaught, onLifeLost, onEnd, onNewRecord, onPowerUp, onLevelCleared,
+ *   onVersusEnd, onLeaderboardUpdated
+ * @returns {Object} Control API: start(), pause(), resume(), restart(), getState(), setOptions(), setPractice(), setLevel(),
+ *   mute(), unmute(), setVolume(), on(), once(), off(), remount(), destroy() and the raw `game` instance
  */
 export function createGame(containerOrSelector, options = {}) {
-  // Set API URL if provided (for CORS/cross-origin widget usage)
-  if (options.apiUrl) {
-    apiService.setBaseUrl(options.apiUrl);
-  }
-
-  // Set assets base URL if provided (for cross-origin image loading)
-  if (options.assetsUrl) {
-    setAssetsBaseUrl(options.assetsUrl);
-  }
-
   // Resolve container
-  const container = typeof containerOrSelector === 'string'
-    ? document.querySelector(containerOrSelector)
-    : containerOrSelector;
+  let container = resolveContainer(containerOrSelector);
 
   if (!container) {
     console.error('InnogyGame: Container not found:', containerOrSelector);
     return null;
   }
 
-  // Generate unique ID for this instance
-  const id = generateId();
-
-  // Build and insert HTML
-  container.innerHTML = buildHTML(id, options);
-
-  // Get canvas and elements
-  const canvas = container.querySelector(`#${id}-game`);
-  const elements = getElements(container, id);
-
-  // Handle missing leaderboard elements when showLeaderboard is false
-  if (!options.showLeaderboard) {
-    elements.boardBody = null;
-  }
+  // Markup options are kept (with setOptions() changes) so remount() rebuilds the same widget
+  const markupOptions = { ...options };
+  let { canvas, elements } = mountHTML(container, markupOptions);
 
   // Create game instance with options
+  // Each widget owns its API client and asset base URL (multiple widgets per page stay independent)
   const gameOptions = {
-    confetti: options.confetti !== false // default true
+    confetti: options.confetti !== false, // default true
+    audio: options.audio !== false, // default true
+    volume: options.volume,
+    sounds: options.sounds,
+    api: new ApiService({ baseUrl: options.apiUrl }),
+    assetsUrl: options.assetsUrl,
+    locale: options.locale,
+    messages: options.messages,
+    theme: options.theme,
+    difficulty: options.difficulty,
+    difficultySelector: options.difficultySelector === true,
+    practiceToggle: options.practiceToggle === true
   };
   if (options.secondaryButton?.url) {
     gameOptions.secondaryButton = options.secondaryButton;
@@ -206,18 +340,109 @@ export function createGame(containerOrSelector, options = {}) {
   if (options.idleText) {
     gameOptions.idleText = options.idleText;
   }
+  if (options.mode === 'daily') {
+    // Seed derived from the date - every player faces the same puck sequence that day
+    const day = dailyKey();
+    gameOptions.mode = 'daily';
+    gameOptions.day = day;
+    gameOptions.seed = dailySeed(new Date(day));
+  } else if (options.mode === 'timeAttack') {
+    gameOptions.mode = 'timeAttack';
+  } else if (options.mode === 'versus') {
+    gameOptions.mode = 'versus';
+  } else if (options.mode === 'campaign') {
+    gameOptions.mode = 'campaign';
+    gameOptions.levels = options.levels;
+    gameOptions.levelsUrl = options.levelsUrl;
+  }
   const game = new Game(canvas, elements, gameOptions);
+  bindEventCallbacks(game, options);
 
-  // Return game instance and destroy function
+  // Return public control API (see README "Control API")
   return {
     game,
-    destroy: () => {
-      // Stop game loop
-      if (game.animationId) {
-        cancelAnimationFrame(game.animationId);
+    start: () => game.start(),
+    pause: () => game.pause(),
+    resume: () => game.resume(),
+    restart: () => game.restart(),
+    getState: () => game.getState(),
+    setPractice: (enabled, speed) => game.setPractice(enabled, speed),
+    setLevel: index => game.setLevel(index),
+    mute: () => game.setMuted(true),
+    unmute: () => game.setMuted(false),
+    setVolume: volume => game.setVolume(volume),
+    on: (event, handler) => game.on(event, handler),
+    once: (event, handler) => game.once(event, handler),
+    off: (event, handler) => game.off(event, handler),
+
+    /**
+     * Update options live: topText, bottomText, leaderboardTitle, confetti, secondaryButton, idleText, theme,
+     * difficulty (applied between runs), difficultySelector, practiceToggle
+     * @param {Object} changes - Options to change
+     */
+    setOptions: (changes = {}) => {
+      if ('topText' in changes) {
+        markupOptions.topText = changes.topText;
+        setTextArea(elements.topTextEl, changes.topText);
       }
-      // Clear container
-      container.innerHTML = '';
+      if ('bottomText' in changes || 'helpText' in changes) {
+        markupOptions.bottomText = changes.bottomText || changes.helpText;
+        setTextArea(elements.bottomTextEl, markupOptions.bottomText);
+      }
+      if ('leaderboardTitle' in changes) {
+        markupOptions.leaderboardTitle = changes.leaderboardTitle;
+        if (elements.boardTitleEl) {
+          elements.boardTitleEl.textContent = changes.leaderboardTitle ?? game.i18n.t('board.title');
+        }
+      }
+
+      if ('theme' in changes) {
+        markupOptions.theme = changes.theme;
+        applyThemeStyles(container, changes.theme);
+      }
+
+      const gameChanges = { ...changes };
+      if ('confetti' in changes) {
+        gameChanges.confetti = changes.confetti !== false;
+      }
+      if ('secondaryButton' in changes && !changes.secondaryButton?.url) {
+        gameChanges.secondaryButton = undefined;
+      }
+      game.setOptions(gameChanges);
+    },
+
+    /**
+     * Move the widget to another container, keeping the game instance (score, run, leaderboard)
+     * The previous container is emptied
+     * @param {string|HTMLElement} newContainerOrSelector - Container element or CSS selector
+     * @returns {boolean} True if remounted
+     */
+    remount: (newContainerOrSelector) => {
+      const newContainer = resolveContainer(newContainerOrSelector);
+      if (!newContainer) {
+        console.error('InnogyGame: Container not found:', newContainerOrSelector);
+        return false;
+      }
+      if (game.destroyed) return false;
+
+      const previousContainer = container;
+      ({ canvas, elements } = mountHTML(newContainer, markupOptions));
+      game.remount(canvas, elements);
+
+      if (previousContainer !== newContainer) {
+        getRenderRoot(previousContainer, markupOptions).innerHTML = '';
+        applyThemeStyles(previousContainer, null);
+      }
+      container = newContainer;
+      return true;
+    },
+
+    destroy: () => {
+      // Stop game loop, remove listeners, abort pending API requests
+      game.destroy();
+      // Clear container (or its shadow root)
+      getRenderRoot(container, markupOptions).innerHTML = '';
+      applyThemeStyles(container, null);
     }
   };
 }
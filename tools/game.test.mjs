@@ -0,0 +1,121 @@
+/**
+ * Tests of Game option changes, run in Node against a minimal fake browser environment
+ *
+ * Usage: node --test tools/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * Create a fake DOM element (listeners, attributes and text only)
+ * @param {Object} extra - Extra properties
+ * @returns {Object} Fake element
+ */
+function fakeElement(extra = {}) {
+  return {
+    textContent: '',
+    innerHTML: '',
+    hidden: false,
+    disabled: false,
+    style: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    addEventListener() {},
+    removeEventListener() {},
+    setAttribute() {},
+    removeAttribute() {},
+    querySelector: () => null,
+    contains: () => false,
+    ...extra
+  };
+}
+
+// Every 2D context method is a no-op (gradients need addColorStop(), text needs measureText())
+const context = new Proxy({}, {
+  get: (target, key) => key in target ? target[key]
+    : key === 'measureText' ? () => ({ width: 10 })
+    : () => ({ addColorStop() {} }),
+  set: (target, key, value) => {
+    target[key] = value;
+    return true;
+  }
+});
+
+globalThis.window = fakeElement({ location: { origin: 'http://localhost', hostname: 'localhost' }, devicePixelRatio: 1 });
+globalThis.document = fakeElement({ readyState: 'complete', createElement: () => fakeElement(), body: fakeElement() });
+globalThis.Image = class {};
+globalThis.requestAnimationFrame = () => 1;
+globalThis.cancelAnimationFrame = () => {};
+globalThis.fetch = async () => ({ ok: false, status: 500 });
+
+const { Game } = await import('../js/game/Game.js');
+
+/**
+ * Create a game on a fake canvas
+ * @param {Object} options - Game options
+ * @returns {Game}
+ */
+function createTestGame(options = {}) {
+  const canvas = fakeElement({
+    width: 600,
+    height: 600,
+    getContext: () => context,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: 600, height: 600 })
+  });
+  const elements = {
+    scoreEl: fakeElement(),
+    livesEl: fakeElement(),
+    bestEl: fakeElement(),
+    pauseBtn: fakeElement(),
+    restartBtn: fakeElement()
+  };
+  return new Game(canvas, elements, { audio: false, ...options });
+}
+
+/**
+ * Play frames with the goalie standing in the middle until the run ends
+ * @param {Game} game - Running game
+ */
+async function playUntilEnd(game) {
+  while (game.state.isRunning) {
+    game.recorder.record(17, 300);
+    game.update(17, 300);
+  }
+  // Let end() finish (score submission falls back to local storage)
+  await new Promise(resolve => setTimeout(resolve, 10));
+}
+
+test('difficulty changed during a run is applied once the run is over', async () => {
+  const game = createTestGame();
+  game.start();
+  game.setOptions({ difficulty: 'hard' });
+  assert.equal(game.state.difficulty.name, 'normal');
+
+  await playUntilEnd(game);
+  game.restart();
+  assert.equal(game.state.difficulty.name, 'hard');
+
+  game.start();
+  assert.equal(game.recorder.difficulty.name, 'hard');
+  game.destroy();
+});
+
+test('difficulty changed while paused is applied by restart', () => {
+  const game = createTestGame({ difficulty: 'easy' });
+  game.start();
+  game.pause();
+  game.setOptions({ difficulty: 'hard' });
+  game.setOptions({ difficulty: 'hard' });
+  assert.equal(game.state.difficulty.name, 'easy');
+
+  game.restart();
+  assert.equal(game.state.difficulty.name, 'hard');
+  game.destroy();
+});
+
+test('difficulty changed between runs is applied at once', () => {
+  const game = createTestGame();
+  game.setOptions({ difficulty: 'easy' });
+  assert.equal(game.state.difficulty.name, 'easy');
+  game.destroy();
+});
@@ -0,0 +1,107 @@
+/**
+ * Server-side score verification
+ * Re-simulates a submitted run from its input log and checks the claimed score.
+ *
+ * Usage (Node 20.19+ / 22.12+, game modules are loaded as ES modules):
+ *   node tools/verify-score.mjs submission.json
+ *   cat submission.json | node tools/verify-score.mjs
+ *
+ * Input is the POST body sent to /Oh2026Score ({ score, replay, ... }).
+ * Campaign runs are re-simulated with the level script from assets/levels/campaign.json.
+ * Prints JSON result and exits with code 0 if the score is reproduced, 1 otherwise.
+ */
+
+import { readFileSync } from 'node:fs';
+import { decodeRecording } from '../js/game/Recorder.js';
+import { simulateRun } from '../js/game/Simulation.js';
+import { validateRun } from '../js/game/RunValidator.js';
+import { resolveDifficulty } from '../js/game/Difficulty.js';
+import { dailyKey, dailySeed } from '../js/utils/random.js';
+import { parseCampaign } from '../js/game/Waves.js';
+
+// Published campaign (submitted runs name their level by id)
+const CAMPAIGN_FILE = new URL('../assets/levels/campaign.json', import.meta.url);
+
+/**
+ * Find a campaign level
+ * @param {string} id - Level id
+ * @returns {Object|null} Parsed level or null if unknown
+ */
+function findLevel(id) {
+  const levels = parseCampaign(JSON.parse(readFileSync(CAMPAIGN_FILE, 'utf8')));
+  return levels.find(level => level.id === id) || null;
+}
+
+/**
+ * Verify a score submission
+ * @param {Object} submission - Score submission body
+ * @returns {Object} Verification result {valid, reason, claimedScore, simulatedScore}
+ */
+function verifySubmission(submission) {
+  const recording = decodeRecording(submission.replay || '');
+  if (!recording) {
+    return { valid: false, reason: 'malformed input log', claimedScore: submission.score };
+  }
+
+  // Daily challenge runs must be played today with the seed of the day (derived here, never trusted
+  // from the submission)
+  if (submission.mode === 'daily') {
+    if (submission.day !== dailyKey()) {
+      return { valid: false, reason: 'wrong day', claimedScore: submission.score };
+    }
+    if (recording.seed !== dailySeed(new Date(submission.day))) {
+      return { valid: false, reason: 'seed mismatch', claimedScore: submission.score };
+    }
+  } else if (submission.seed !== undefined && submission.seed !== recording.seed) {
+    return { valid: false, reason: 'seed mismatch', claimedScore: submission.score };
+  }
+
+  // Campaign runs only count when the level was cleared
+  let level = null;
+  if (submission.mode === 'campaign') {
+    level = findLevel(submission.level);
+    if (!level) {
+      return { valid: false, reason: 'unknown level', claimedScore: submission.score };
+    }
+  }
+
+  // Custom difficulty is sent as a whole, presets by name (see getCustomDifficulty())
+  const difficulty = submission.difficultySettings || submission.difficulty;
+
+  // Custom leaderboards are named by their settings - the run must be played with them
+  if (submission.difficultySettings && resolveDifficulty(difficulty).name !== submission.difficulty) {
+    return { valid: false, reason: 'difficulty mismatch', claimedScore: submission.score };
+  }
+  const result = simulateRun({ ...recording, mode: submission.mode, difficulty, level });
+  const check = validateRun(result);
+
+  let reason = null;
+  if (!check.valid) {
+    reason = check.reason;
+  } else if (!result.isOver) {
+    reason = 'run did not end';
+  } else if (level && !result.cleared) {
+    reason = 'level not cleared';
+  } else if (result.frames !== recording.frames.length) {
+    reason = 'input continues after game over';
+  } else if (result.score !== submission.score) {
+    reason = 'score mismatch';
+  } else if (result.duration !== submission.duration || result.frames !== submission.frames) {
+    reason = 'run stats mismatch';
+  }
+
+  return {
+    valid: reason === null,
+    reason,
+    claimedScore: submission.score,
+    simulatedScore: result.score,
+    frames: result.frames,
+    duration: result.duration
+  };
+}
+
+const input = readFileSync(process.argv[2] || 0, 'utf8');
+const result = verifySubmission(JSON.parse(input));
+
+console.log(JSON.stringify(result));
+process.exitCode = result.valid ? 0 : 1;
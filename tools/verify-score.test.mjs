@@ -0,0 +1,139 @@
+/**
+ * Tests of the server-side score verifier against genuine and forged input logs
+ *
+ * Usage: node --test tools/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { Simulation } from '../js/game/Simulation.js';
+import { encodeRecording } from '../js/game/Recorder.js';
+import { dailyKey, dailySeed } from '../js/utils/random.js';
+
+const VERIFIER = fileURLToPath(new URL('./verify-score.mjs', import.meta.url));
+
+/**
+ * Run the verifier CLI on a submission
+ * @param {Object} submission - Score submission body
+ * @returns {Object} Verification result
+ */
+function verify(submission) {
+  const { stdout } = spawnSync(process.execPath, [VERIFIER], { input: JSON.stringify(submission), encoding: 'utf8' });
+  return JSON.parse(stdout);
+}
+
+/**
+ * Play a time attack run with a goalie following the lowest puck
+ * @param {number} seed - Run seed
+ * @returns {Object} Submission {score, duration, frames, mode, replay}
+ */
+function playTimeAttack(seed) {
+  const simulation = new Simulation({ mode: 'timeAttack', seed });
+  const frames = [];
+  let targetX = 300;
+  while (!simulation.isOver) {
+    const puck = simulation.pucks.filter(p => !p.markedForRemoval).sort((a, b) => b.y - a.y)[0];
+    if (puck) targetX = Math.max(0, Math.min(600, Math.round(puck.x)));
+    frames.push([17, targetX]);
+    simulation.step(17, targetX);
+  }
+  const stats = simulation.getRunStats();
+  return {
+    score: simulation.state.score,
+    duration: stats.duration,
+    frames: stats.frames,
+    mode: 'timeAttack',
+    replay: encodeRecording({ seed, frames })
+  };
+}
+
+/**
+ * Play a daily challenge run with a goalie standing in the middle
+ * @param {number} seed - Run seed
+ * @returns {Object} Submission {score, duration, frames, mode, day, seed, replay}
+ */
+function playDaily(seed) {
+  const simulation = new Simulation({ mode: 'daily', seed });
+  const frames = [];
+  while (!simulation.isOver) {
+    frames.push([17, 300]);
+    simulation.step(17, 300);
+  }
+  const stats = simulation.getRunStats();
+  return {
+    score: simulation.state.score,
+    duration: stats.duration,
+    frames: stats.frames,
+    mode: 'daily',
+    day: dailyKey(),
+    seed,
+    replay: encodeRecording({ seed, frames })
+  };
+}
+
+const genuine = playTimeAttack(7);
+
+/**
+ * Replace the frames of the genuine run's input log
+ * @param {string} tokens - Encoded frame tokens
+ * @returns {Object} Forged submission
+ */
+function forge(tokens) {
+  return { ...genuine, replay: `2|7|${tokens}` };
+}
+
+test('genuine run is valid', () => {
+  const result = verify(genuine);
+  assert.equal(result.valid, true, result.reason);
+  assert.equal(result.simulatedScore, genuine.score);
+});
+
+test('alternating long and negative frame times are rejected', () => {
+  const result = verify(forge('50:0,-45:0*1000'));
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'malformed input log');
+});
+
+test('zero, fractional and overlong frame times are rejected', () => {
+  for (const tokens of ['0:0*100', '16.5:0*100', '51:0*100', '17:0*10,1000:0']) {
+    const result = verify(forge(tokens));
+    assert.equal(result.reason, 'malformed input log', tokens);
+  }
+});
+
+test('fractional and out-of-field goalie targets are rejected', () => {
+  for (const tokens of ['17:0.5', '17:301', '17:-301', '17:100*3,17:1']) {
+    const result = verify(forge(tokens));
+    assert.equal(result.reason, 'malformed input log', tokens);
+  }
+});
+
+test('custom settings must match the submitted custom leaderboard', () => {
+  const result = verify({ ...genuine, difficulty: 'custom-0', difficultySettings: { maxSpeed: 30 } });
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'difficulty mismatch');
+});
+
+test('daily run with the seed of the day is valid', () => {
+  const result = verify(playDaily(dailySeed()));
+  assert.equal(result.valid, true, result.reason);
+});
+
+test('daily run with a self-chosen seed is rejected', () => {
+  const forged = playDaily(7);
+  assert.equal(verify(forged).reason, 'seed mismatch');
+
+  const { seed, ...withoutSeed } = forged;
+  assert.equal(verify(withoutSeed).reason, 'seed mismatch');
+});
+
+test('daily run of a missing, unparseable or past day is rejected', () => {
+  const daily = playDaily(dailySeed());
+  const yesterday = dailyKey(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  for (const day of [undefined, 'tomorrow', yesterday]) {
+    const result = verify({ ...daily, day });
+    assert.equal(result.reason, 'wrong day', String(day));
+  }
+});